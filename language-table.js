@@ -12,20 +12,155 @@ const state = {
 
     // True if modifiedDataSource differs from originalDataSource.
     hasUnsavedChanges: false,
+    // True while a save request is in flight (blocks double submits)
+    isSaving: false,
+    // Debounce timer for writing the draft to localStorage
+    draftSaveTimer: null,
     // Current text in the search input.
     searchQuery: '',
     searchDebounceTimer: null,
-    // { columnIndex: 'asc' | 'desc' | null }
-    sortState: {},
+    // Search options; the query syntax (lang:, key:, value:, "phrase") is in compileSearchQuery
+    searchOptions: {
+        regex: false,
+        // 'all' | 'key' | 'value'
+        scope: 'all',
+        // LanguageTwoLetter codes whose values are searched; empty = all languages
+        languages: [],
+        // Match the text readers see (getTextFromHTML) instead of the raw HTML.
+        // Off by default: the raw value is what search has always matched.
+        visibleTextOnly: false
+    },
+    // searchQuery compiled with searchOptions, see compileSearchQuery()
+    compiledSearch: null,
+    // Highlighted matches of the active search in row order: { key, langIndex } per
+    // match (langIndex -1 = key cell), the index of each cell's first match, and the
+    // match selected with next/previous (-1 = none)
+    searchMatches: [],
+    searchMatchOffsets: new Map(),
+    currentSearchMatch: -1,
+    // Sort criteria in priority order: { column, direction, mode } where column is
+    // 'key' or a modifiedDataSource index, direction 'asc' | 'desc' and mode a
+    // key of SORT_MODES
+    sortState: [],
     // Set of column indices that are collapsed
     collapsedColumns: new Set(),
     isSearchActive: false,
+    // Grouped view: rows nested under key prefixes (status_payment_*), up to depth levels
+    grouping: {
+        enabled: false,
+        separator: '_',
+        depth: 2,
+        // Collapsed group ids (the prefix without the trailing separator, e.g. "status_payment")
+        collapsedGroups: new Set()
+    },
+    // Limit the table to rows with at least one modified cell
+    showModifiedOnly: false,
+    // Limit the table to rows missing in at least one language
+    showMissingOnly: false,
     pagination: {
         currentPage: 1,
         rowsPerPage: 25,
         rowsPerPageOptions: [25, 50, 100, 200]
     },
 
+    // Virtual scrolling: all rows in one scrollable list, with only the rows
+    // in view rendered. Replaces the pagination block when enabled.
+    virtualScroll: {
+        enabled: false,
+        // Estimated row height in px, refined from the rendered rows
+        rowHeight: 41,
+        // Rows rendered above and below the viewport
+        overscan: 10,
+        // Display rows of the last render and the slice of them in the DOM
+        rows: [],
+        range: null
+    },
+
+    // Keys of the last render in sorted order (every page) and their index,
+    // to tell whether an edit can be patched into its row without
+    // re-rendering the table
+    renderedKeys: [],
+    renderedKeyIndex: new Map(),
+
+    // Placeholder consistency validation
+    placeholderValidation: {
+        // LanguageTwoLetter whose placeholders every other language must match (null = first column)
+        referenceLanguage: null,
+        // 'warn' asks for confirmation when an edit adds or removes placeholders, 'block' refuses the save
+        onSaveMismatch: 'warn',
+        // Recognised placeholder syntaxes (regex sources). Add e.g. '\\{\\d+\\}' for {0} forms.
+        syntaxes: [
+            // {data.PortfolioName}, {data.Amount.ToString("N2")}, {data.Package.ToString()}
+            '\\{data\\.[^{}]+\\}',
+            // {maxAmount}, {User-Risk}
+            '\\{[A-Za-z][\\w-]*\\}'
+        ]
+    },
+
+    // Rendered email preview in the edit modal
+    emailPreview: {
+        visible: false,
+        device: 'desktop',          // 'desktop' | 'mobile'
+        useSampleData: false,
+        updateTimer: null,
+        widths: {
+            desktop: 600,
+            mobile: 375
+        },
+        // Stylesheet applied inside the preview frame, in place of the app styles
+        css: [
+            'body { margin: 0; padding: 24px; font-family: Arial, Helvetica, sans-serif; font-size: 14px;',
+            '       line-height: 1.5; color: #222222; background-color: #ffffff; }',
+            'p, div { margin: 0 0 8px; }',
+            'a { color: #0066cc; }',
+            'table { border-collapse: collapse; }',
+            'td, th { padding: 4px 8px; vertical-align: top; }'
+        ].join('\n')
+    },
+
+    // Named sample data profiles for placeholder substitution (preview and table).
+    // Values are keyed by the text inside the braces; a method call falls back to
+    // its base path (data.Amount.ToString("N2") -> data.Amount).
+    sampleData: {
+        // Render every table cell with the active profile's values substituted
+        applyToTable: false,
+        activeProfile: 'Default',
+        profiles: [
+            {
+                name: 'Default',
+                values: {
+                    'data.PortfolioName': 'My Genius Portfolio',
+                    'data.Amount': '1,250.00',
+                    'data.Currency': 'EUR',
+                    'data.ReferenceNumber': 'GP-2024-00123',
+                    'data.Package': 'Genius Balanced',
+                    'data.Risk': 'Moderate'
+                }
+            }
+        ]
+    },
+
+    // Parsed import awaiting confirmation: { cells, skippedLanguages }
+    importPreview: null,
+    // Incremented for every preview request; a file read that finishes after a
+    // newer request was made is ignored
+    importRequestId: 0,
+    // Find & replace preview awaiting confirmation: { label, cells }
+    replacePreview: null,
+
+    // Value cell with keyboard focus: { key, langIndex }
+    activeCell: null,
+    // Plain-text value being edited in place: { key, langIndex, input, originalText }
+    inlineEdit: null,
+
+    // Edit history for undo/redo. Each entry is { label, changes } where changes
+    // is a list of { language, key, oldValue, newValue } (null = key not present)
+    history: {
+        undoStack: [],
+        redoStack: [],
+        limit: 100
+    },
+
     // Editor state
     quillEditor: null,              // Quill editor instance (created once, reused)
     currentEditContext: null,       // Track the current edit context for the modal { key, langIndex }
@@ -50,6 +185,9 @@ function initializeData() {
     if (originalDataSource && originalDataSource.length > 0) {
         modifiedDataSource = JSON.parse(JSON.stringify(originalDataSource));
     }
+
+    // Offer to restore edits left over from a previous session
+    offerDraftRestore();
 }
 
 function initializeEventListeners() {
@@ -67,12 +205,68 @@ function initializeEventListeners() {
     const clearSearchBtn = document.getElementById('clear-search-btn');
     clearSearchBtn.addEventListener('click', handleClearSearch);
 
+    // Search options and match navigation
+    initializeSearchOptions();
+    document.getElementById('search-prev-btn').addEventListener('click', () => goToSearchMatch(-1));
+    document.getElementById('search-next-btn').addEventListener('click', () => goToSearchMatch(1));
+    searchInput.addEventListener('keydown', handleSearchInputKeydown);
+
     // Discard changes button
     const discardChangesBtn = document.getElementById('discard-changes-btn');
     discardChangesBtn.addEventListener('click', handleDiscardChanges);
 
+    // Save changes button
+    const saveChangesBtn = document.getElementById('save-changes-btn');
+    saveChangesBtn.addEventListener('click', handleSaveChanges);
+
+    // Undo / redo
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+    document.addEventListener('keydown', handleHistoryShortcut);
+
+    // "Show only modified" filter
+    const showModifiedOnlyCheckbox = document.getElementById('show-modified-only');
+    showModifiedOnlyCheckbox.addEventListener('change', handleShowModifiedOnlyChange);
+
+    // "Missing in any language" filter
+    const showMissingOnlyCheckbox = document.getElementById('show-missing-only');
+    showMissingOnlyCheckbox.addEventListener('change', handleShowMissingOnlyChange);
+
+    // Grouped view
+    initializeGroupingControls();
+
+    // Sample data profiles
+    initializeSampleDataControls();
+
+    // Completeness summary
+    document.getElementById('completeness-btn').addEventListener('click', openCompletenessSummary);
+    document.getElementById('completeness-close-btn').addEventListener('click', () => closeDialog('completeness-modal'));
+
+    // Cell context menu
+    initializeCellContextMenu();
+
+    // Add language dialog
+    initializeAddLanguageDialog();
+
+    // Import / export dialogs
+    initializeImportDialog();
+    initializeExportDialog();
+
+    // Bulk find & replace
+    initializeReplaceDialog();
+
+    // Row, cell and group actions, delegated from the table body
+    initializeTableBodyListeners();
+
+    // Keyboard cell navigation and inline editing
+    initializeCellNavigation();
+
+    // Warn before leaving the page with unsaved changes
+    window.addEventListener('beforeunload', handleBeforeUnload);
+
     // Pagination listeners
     initializePaginationListeners();
+    initializeVirtualScroll();
 }
 
 // ========================================
@@ -80,10 +274,14 @@ function initializeEventListeners() {
 // ========================================
 
 function renderTable() {
-    const dataToRender = state.isSearchActive ? getSearchResults() : modifiedDataSource;
+    renderSearchLanguageOptions();
+    const dataToRender = getVisibleData();
+    updateSearchMatches(dataToRender);
     renderTableHeader();
     const totalRows = renderTableBody(dataToRender);
     renderPagination(totalRows);
+    renderSearchMatchNavigation();
+    syncActiveCell();
 }
 
 function renderTableHeader() {
@@ -98,8 +296,10 @@ function renderTableHeader() {
 
     // Keys column
     const keysHeader = document.createElement('th');
-    keysHeader.className = 'keys-column';
-    keysHeader.textContent = 'Keys';
+    keysHeader.className = 'keys-column sortable';
+    keysHeader.appendChild(renderSortIndicator('key'));
+    keysHeader.appendChild(document.createTextNode(' Keys '));
+    appendSortModeSelect(keysHeader, 'key');
     headerRow.appendChild(keysHeader);
 
     // Language columns - always use modifiedDataSource for consistent indexing
@@ -114,20 +314,7 @@ function renderTableHeader() {
         }
 
         // Sort indicator - clickable for sorting
-        const sortIndicator = document.createElement('span');
-        sortIndicator.className = 'sort-indicator';
-        const sortDirection = state.sortState[index];
-        if (sortDirection === 'asc') {
-            sortIndicator.textContent = '▲';
-        } else if (sortDirection === 'desc') {
-            sortIndicator.textContent = '▼';
-        } else {
-            sortIndicator.textContent = '⇅';
-        }
-        sortIndicator.addEventListener('click', (e) => {
-            e.stopPropagation();
-            cycleSortState(index);
-        });
+        const sortIndicator = renderSortIndicator(index);
 
         // Column title
         const title = lang.LanguageTwoLetter.toUpperCase();
@@ -141,74 +328,306 @@ function renderTableHeader() {
             toggleColumnCollapse(index);
         });
 
+        // Remove indicator - clickable for removing the language column
+        const removeIndicator = document.createElement('span');
+        removeIndicator.className = 'remove-column-indicator';
+        removeIndicator.textContent = '✕';
+        removeIndicator.title = `Remove ${title}`;
+        removeIndicator.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeLanguage(index);
+        });
+
+        // Completeness badge - share of keys present in this language
+        const completeness = getLanguageCompleteness(index);
+        const completenessBadge = document.createElement('span');
+        completenessBadge.className = 'completeness-badge';
+        if (completeness.missingKeys.length === 0) {
+            completenessBadge.classList.add('complete');
+        }
+        completenessBadge.textContent = `${completeness.percent}%`;
+        completenessBadge.title = `${completeness.presentCount} of ${completeness.totalCount} keys translated`;
+
         langHeader.appendChild(sortIndicator);
         langHeader.appendChild(document.createTextNode(' ' + title + ' '));
+        langHeader.appendChild(completenessBadge);
+        appendSortModeSelect(langHeader, index);
         langHeader.appendChild(collapseIndicator);
+        langHeader.appendChild(removeIndicator);
 
         headerRow.appendChild(langHeader);
     });
 
+    // Add language column
+    const addLanguageHeader = document.createElement('th');
+    addLanguageHeader.className = 'add-language-column';
+    const addLanguageBtn = document.createElement('button');
+    addLanguageBtn.type = 'button';
+    addLanguageBtn.className = 'add-language-btn';
+    addLanguageBtn.textContent = '+ Language';
+    addLanguageBtn.title = 'Add language';
+    addLanguageBtn.addEventListener('click', openAddLanguageDialog);
+    addLanguageHeader.appendChild(addLanguageBtn);
+    headerRow.appendChild(addLanguageHeader);
+
     thead.appendChild(headerRow);
 }
 
 function renderTableBody(data) {
     const tbody = document.getElementById('table-body');
     tbody.innerHTML = '';
+    state.renderedKeys = [];
+    state.renderedKeyIndex = new Map();
 
     if (data.length === 0) {
         return 0;
     }
 
-    // Get all unique keys across all languages
-    let allKeys = getAllKeys(data);
-    const totalRows = allKeys.length;
-
-    // Apply sorting if active
-    allKeys = applySortingToKeys(allKeys);
+    // "Add key" row is always the first row, on every page
+    tbody.appendChild(renderAddKeyRow());
+
+    // Get all unique keys across all languages, sorted if sorting is active,
+    // and nested under prefix groups when the grouped view is on
+    const orderedKeys = getOrderedKeys(data);
+    const allRows = getDisplayRows(orderedKeys);
+    const totalRows = allRows.length;
+    state.renderedKeys = orderedKeys;
+    state.renderedKeyIndex = new Map(orderedKeys.map((key, index) => [key, index]));
+
+    // Virtual scrolling renders the rows in view instead of a page
+    if (state.virtualScroll.enabled) {
+        state.virtualScroll.rows = allRows;
+        renderVirtualRows(true);
+        return totalRows;
+    }
 
-    // Apply pagination - slice keys for current page
+    // Apply pagination - slice rows for current page
     const { currentPage, rowsPerPage } = state.pagination;
     const startIndex = (currentPage - 1) * rowsPerPage;
     const endIndex = startIndex + rowsPerPage;
-    const paginatedKeys = allKeys.slice(startIndex, endIndex);
-
-    paginatedKeys.forEach(key => {
-        const row = document.createElement('tr');
-
-        // Keys cell
-        const keyCell = document.createElement('td');
-        keyCell.className = 'keys-cell';
-        keyCell.textContent = key;
-        row.appendChild(keyCell);
-
-        // Value cells for each language
-        // Use modifiedDataSource indices to ensure proper mapping
-        modifiedDataSource.forEach((lang, langIndex) => {
-            const valueCell = document.createElement('td');
-            valueCell.className = 'value-cell';
-            valueCell.dataset.key = key;
-            valueCell.dataset.langIndex = langIndex;
-
-            const isCollapsed = state.collapsedColumns.has(langIndex);
-            if (isCollapsed) {
-                valueCell.classList.add('collapsed-cell');
-            }
+    const paginatedRows = allRows.slice(startIndex, endIndex);
+
+    // A page starting inside a group repeats the headers of its groups
+    if (paginatedRows.length > 0 && paginatedRows[0].group) {
+        getGroupAncestors(paginatedRows[0].group)
+            .filter(group => !paginatedRows.some(row => row.type === 'group' && row.group === group))
+            .forEach(group => tbody.appendChild(renderGroupRow(group, true)));
+    }
+
+    paginatedRows.forEach(displayRow => {
+        tbody.appendChild(displayRow.type === 'group'
+            ? renderGroupRow(displayRow.group, false)
+            : renderKeyRow(displayRow.key, displayRow.depth));
+    });
+
+    return totalRows;
+}
+
+/**
+ * Listeners for everything rendered inside the table body. Rows are
+ * re-rendered often, so they carry data attributes instead of listeners.
+ */
+function initializeTableBodyListeners() {
+    const tbody = document.getElementById('table-body');
+
+    tbody.addEventListener('click', (e) => {
+        // Values may carry data-* attributes of their own, so only these buttons count
+        const actionTarget = e.target.closest('.key-action-btn, .group-toggle');
+        if (actionTarget) {
+            handleTableBodyAction(actionTarget);
+            return;
+        }
+
+        const valueCell = e.target.closest('td.value-cell');
+        if (valueCell) {
+            const key = valueCell.dataset.key;
+            const langIndex = Number(valueCell.dataset.langIndex);
+            handleCellClick(e, key, langIndex, modifiedDataSource[langIndex].Translations[key] || '');
+        }
+    });
+
+    tbody.addEventListener('dblclick', (e) => {
+        const keyName = e.target.closest('.key-name');
+        if (keyName) {
+            startKeyRename(keyName.closest('td.keys-cell'), keyName.closest('tr').dataset.key);
+        }
+    });
+
+    // Context menu with per-cell actions (revert)
+    tbody.addEventListener('contextmenu', (e) => {
+        const valueCell = e.target.closest('td.value-cell');
+        if (valueCell && !state.inlineEdit) {
+            openCellContextMenu(e, valueCell.dataset.key, Number(valueCell.dataset.langIndex));
+        }
+    });
+}
+
+function handleTableBodyAction(target) {
+    const row = target.closest('tr');
+    switch (target.dataset.action) {
+        case 'rename-key':
+            startKeyRename(target.closest('td.keys-cell'), row.dataset.key);
+            break;
+        case 'delete-key':
+            deleteKey(row.dataset.key);
+            break;
+        case 'toggle-group':
+            toggleGroup(row.dataset.group);
+            break;
+    }
+}
+
+/**
+ * Render one translation row: the key cell and a value cell per language.
+ * @param {string} key - Translation key
+ * @param {number} depth - Nesting level in the grouped view (0 = not grouped)
+ * @returns {HTMLTableRowElement}
+ */
+function renderKeyRow(key, depth) {
+    const row = document.createElement('tr');
+    row.dataset.key = key;
+    if (depth > 0) {
+        row.classList.add('grouped-row');
+        row.style.setProperty('--group-depth', depth);
+    }
+
+    // Keys cell
+    const keyCell = renderKeyCell(key);
+    highlightCellSearchMatches(keyCell.querySelector('.key-name'), key, -1);
+    row.appendChild(keyCell);
+
+    // Value cells for each language
+    // Use modifiedDataSource indices to ensure proper mapping
+    modifiedDataSource.forEach((lang, langIndex) => {
+        const valueCell = document.createElement('td');
+        valueCell.className = 'value-cell';
+        valueCell.dataset.key = key;
+        valueCell.dataset.langIndex = langIndex;
+        valueCell.tabIndex = -1;
+
+        const isCollapsed = state.collapsedColumns.has(langIndex);
+        if (isCollapsed) {
+            valueCell.classList.add('collapsed-cell');
+        }
+
+        const value = lang.Translations[key] || '';
+
+        // Render HTML content through the allowlist sanitizer,
+        // optionally reading placeholders as sample values
+        const sanitized = sanitizeHTML(value);
+        valueCell.innerHTML = getCellDisplayHTML(sanitized.html);
+        highlightCellSearchMatches(valueCell, key, langIndex);
+
+        // Distinguish a key missing from this language from an intentionally empty value
+        if (!Object.prototype.hasOwnProperty.call(lang.Translations, key)) {
+            valueCell.classList.add('missing-cell');
+            valueCell.title = 'Missing in this language';
+        } else if (value.trim() === '') {
+            valueCell.classList.add('empty-cell');
+            valueCell.title = 'Empty value';
+        }
+
+        // Mark cells that differ from originalDataSource, original value in the tooltip
+        if (isCellModified(langIndex, key)) {
+            valueCell.classList.add('modified-cell');
+            valueCell.title = getModifiedCellTooltip(langIndex, key);
+        }
+
+        // Warn about unsafe markup that was not rendered
+        if (sanitized.removed.length > 0) {
+            valueCell.classList.add('sanitized-cell');
+            const warning = `Unsafe HTML not rendered: ${sanitized.removed.join(', ')}`;
+            valueCell.title = valueCell.title ? `${valueCell.title}\n${warning}` : warning;
+        }
+
+        // Flag placeholders that don't match the reference language
+        const placeholderIssue = getCellPlaceholderIssue(langIndex, key);
+        if (placeholderIssue) {
+            valueCell.classList.add('placeholder-mismatch');
+            valueCell.title = valueCell.title ? `${valueCell.title}\n${placeholderIssue}` : placeholderIssue;
+        }
+
+        row.appendChild(valueCell);
+    });
+
+    // Empty cell under the "+ Language" header
+    const addLanguageCell = document.createElement('td');
+    addLanguageCell.className = 'add-language-cell';
+    row.appendChild(addLanguageCell);
+
+    return row;
+}
+
+/**
+ * Number of table columns: keys, one per language and the "+ Language" column.
+ * @returns {number}
+ */
+function getTableColumnCount() {
+    return modifiedDataSource.length + 2;
+}
+
+/**
+ * HTML shown in a value cell, optionally with placeholders read as sample values.
+ * @param {string} sanitizedHTML - Value after sanitizeHTML()
+ * @returns {string}
+ */
+function getCellDisplayHTML(sanitizedHTML) {
+    return state.sampleData.applyToTable
+        ? substitutePlaceholders(sanitizedHTML, getActiveSampleValues(), 'sample-value')
+        : sanitizedHTML;
+}
+
+/**
+ * Get the data to render: search results when a search is active,
+ * narrowed down by the active row filters.
+ * @returns {Array} - Data in the modifiedDataSource shape
+ */
+function getVisibleData() {
+    let data = state.isSearchActive ? getSearchResults() : modifiedDataSource;
 
-            const value = lang.Translations[key] || '';
+    if (state.showModifiedOnly) {
+        data = filterDataByKeys(data, key => isRowModified(key));
+    }
 
-            // Render HTML content
-            valueCell.innerHTML = value;
+    if (state.showMissingOnly) {
+        data = filterDataByKeys(data, key => isRowMissing(key));
+    }
 
-            // Add click handler for edit mode
-            valueCell.addEventListener('click', (e) => handleCellClick(e, key, langIndex, value));
+    return data;
+}
 
-            row.appendChild(valueCell);
+/**
+ * Keep only the keys matching a predicate in every language of a data set.
+ * @param {Array} data - Data in the modifiedDataSource shape
+ * @param {Function} predicate - Called with each key, returns true to keep it
+ * @returns {Array} - Filtered copy with the same languages
+ */
+function filterDataByKeys(data, predicate) {
+    const keep = new Map();
+    getAllKeys(data).forEach(key => keep.set(key, predicate(key)));
+
+    return data.map(lang => {
+        const filteredTranslations = {};
+        Object.keys(lang.Translations).forEach(key => {
+            if (keep.get(key)) {
+                filteredTranslations[key] = lang.Translations[key];
+            }
         });
 
-        tbody.appendChild(row);
+        return {
+            LanguageTwoLetter: lang.LanguageTwoLetter,
+            Translations: filteredTranslations
+        };
     });
+}
 
-    return totalRows;
+/**
+ * Get the keys of a data set in the order they are rendered.
+ * @param {Array} data - Data in the modifiedDataSource shape
+ * @returns {Array<string>} - Unique keys, sorted if sorting is active
+ */
+function getOrderedKeys(data) {
+    return applySortingToKeys(getAllKeys(data));
 }
 
 function getAllKeys(data) {
@@ -220,37 +639,78 @@ function getAllKeys(data) {
 }
 
 function applySortingToKeys(keys) {
-    const sortColumn = Object.keys(state.sortState)[0];
-    if (sortColumn === undefined) {
+    if (state.sortState.length === 0) {
         return keys;
     }
 
-    const sortDirection = state.sortState[sortColumn];
-    const columnIndex = parseInt(sortColumn);
-
-    // Sort keys based on the rendered text content of the specified column
-    // Always use modifiedDataSource for consistent column indexing
-    const sortedKeys = [...keys].sort((keyA, keyB) => {
-        const valueA = modifiedDataSource[columnIndex].Translations[keyA] || '';
-        const valueB = modifiedDataSource[columnIndex].Translations[keyB] || '';
-
-        // Extract text content from HTML
-        const textA = getTextFromHTML(valueA).toLowerCase();
-        const textB = getTextFromHTML(valueB).toLowerCase();
-
-        if (textA < textB) return sortDirection === 'asc' ? -1 : 1;
-        if (textA > textB) return sortDirection === 'asc' ? 1 : -1;
+    // Sort values are looked up once per key and criterion, not in every comparison
+    const criteria = state.sortState.map(sort => ({
+        factor: sort.direction === 'asc' ? 1 : -1,
+        values: new Map(keys.map(key => [key, getSortValue(key, sort)]))
+    }));
+
+    // Array.prototype.sort is stable: keys equal under every criterion keep their order
+    return [...keys].sort((keyA, keyB) => {
+        for (const { factor, values } of criteria) {
+            const valueA = values.get(keyA);
+            const valueB = values.get(keyB);
+            if (valueA < valueB) return -factor;
+            if (valueA > valueB) return factor;
+        }
         return 0;
     });
+}
 
-    return sortedKeys;
+/**
+ * Value a key is sorted by under one criterion. For the Keys column the
+ * status modes look at the whole row (modified or missing in any language).
+ * @param {string} key - Translation key
+ * @param {Object} sort - Criterion from state.sortState
+ * @returns {string|number}
+ */
+function getSortValue(key, sort) {
+    const isKeyColumn = sort.column === 'key';
+    const translations = isKeyColumn ? null : modifiedDataSource[sort.column].Translations;
+    // Rendered text content, so markup doesn't affect the order
+    const getText = () => (isKeyColumn ? key : getTextFromHTML(translations[key] || ''));
+
+    switch (sort.mode) {
+        case 'length':
+            return getText().length;
+        case 'modified':
+            return (isKeyColumn ? isRowModified(key) : isCellModified(sort.column, key)) ? 0 : 1;
+        case 'missing':
+            return (isKeyColumn ? isRowMissing(key) : !Object.prototype.hasOwnProperty.call(translations, key)) ? 0 : 1;
+        default:
+            return getText().toLowerCase();
+    }
 }
 
+// Cache of text content by HTML value, cleared when it grows past the limit.
+// Sized for about 10k keys in 10 languages.
+const textContentCache = new Map();
+const TEXT_CONTENT_CACHE_LIMIT = 100000;
+
 function getTextFromHTML(html) {
-    // Create a temporary element to extract text content
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-    return temp.textContent || temp.innerText || '';
+    // Plain text without character references is its own text content
+    if (!html || (html.indexOf('<') === -1 && html.indexOf('&') === -1)) {
+        return html || '';
+    }
+
+    if (textContentCache.has(html)) {
+        return textContentCache.get(html);
+    }
+
+    // Parse into an inert document so handlers like <img onerror> never run
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const text = doc.body.textContent || '';
+
+    if (textContentCache.size >= TEXT_CONTENT_CACHE_LIMIT) {
+        textContentCache.clear();
+    }
+    textContentCache.set(html, text);
+
+    return text;
 }
 
 // ========================================
@@ -304,8 +764,28 @@ function initializeQuillEditor() {
         }
     }, 0);
 
+    // Keep the original/current comparison in sync with the editor
+    state.quillEditor.on('text-change', renderEditModalCompare);
+    document.getElementById('code-view-textarea').addEventListener('input', renderEditModalCompare);
+
+    // Rendered email preview
+    initializeEmailPreview();
+
+    // Re-check markup as the user types in Code View
+    document.getElementById('code-view-textarea').addEventListener('input', validateCodeView);
+
+    // Highlighting, line numbers, auto-indent, find/replace and format
+    initializeCodeEditor();
+    document.getElementById('code-view-override').addEventListener('change', (e) => {
+        if (state.currentEditContext) {
+            state.currentEditContext.codeViewOverride = e.target.checked;
+            updateModalSaveButton();
+        }
+    });
+
     // Modal button event listeners
     document.getElementById('edit-modal-save-btn').addEventListener('click', handleModalSave);
+    document.getElementById('edit-modal-revert-btn').addEventListener('click', handleModalRevert);
     document.getElementById('edit-modal-cancel-btn').addEventListener('click', handleModalCancel);
     document.getElementById('edit-modal-close-btn').addEventListener('click', handleModalCancel);
 
@@ -358,8 +838,9 @@ function toggleCodeView() {
         // Decode HTML entities for better readability
         const decodedHTML = decodeHTMLEntities(htmlContent);
 
-        // Display decoded HTML in textarea
+        // Display decoded HTML in textarea (and its highlighted overlay)
         codeViewTextarea.value = decodedHTML;
+        refreshCodeEditor();
 
         // Store the initial Code View content so we can detect changes on save.
         // This is what the user sees when they first switch to Code View.
@@ -377,6 +858,9 @@ function toggleCodeView() {
         }
 
         state.isCodeViewActive = true;
+
+        // Markup check and structural diff against the initial Code View content
+        validateCodeView();
     } else {
         // Switch back to Design View
         // Get the edited HTML from textarea
@@ -419,6 +903,9 @@ function toggleCodeView() {
         state.quillEditor.focus();
 
         state.isCodeViewActive = false;
+
+        // Markup errors only gate saving from Code View
+        updateModalSaveButton();
     }
 }
 
@@ -688,12 +1175,12 @@ function hasPreservableStructure(structure) {
 function handleCellClick(e, key, langIndex, currentValue) {
     e.stopPropagation();
 
-    // Don't open modal if already editing
-    if (state.currentEditContext) {
+    // Don't open modal if already editing; clicks in the inline editor belong to it
+    if (state.currentEditContext || state.inlineEdit) {
         return;
     }
 
-    openEditModal(key, langIndex, currentValue);
+    editCell(key, langIndex, currentValue);
 }
 
 function openEditModal(key, langIndex, currentValue) {
@@ -706,11 +1193,19 @@ function openEditModal(key, langIndex, currentValue) {
     // Extract HTML attributes from the original value to preserve them
     const originalAttributes = extractHTMLAttributes(originalValue);
 
+    // Value from originalDataSource (null if the key or language is new), used for revert
+    const originalTranslations = getOriginalTranslations(langIndex);
+    const baselineValue = originalTranslations && Object.prototype.hasOwnProperty.call(originalTranslations, key)
+        ? originalTranslations[key]
+        : null;
+
     state.currentEditContext = {
         key,
         langIndex,
         originalValue,
-        originalAttributes
+        originalAttributes,
+        baselineValue,
+        isModified: isCellModified(langIndex, key)
     };
 
     // Set the Quill editor content
@@ -724,6 +1219,12 @@ function openEditModal(key, langIndex, currentValue) {
     // This is used on save to detect whether the text was actually modified.
     state.currentEditContext.originalText = state.quillEditor.getText();
 
+    // Original vs current comparison and revert, while the value differs from the original
+    renderEditModalCompare();
+
+    // Rendered preview, if the user left it switched on
+    renderEmailPreview();
+
     // Show the modal
     const modal = document.getElementById('edit-modal');
     modal.style.display = 'flex';
@@ -732,12 +1233,13 @@ function openEditModal(key, langIndex, currentValue) {
     state.quillEditor.focus();
 }
 
-function handleModalSave() {
-    if (!state.currentEditContext) {
-        return;
-    }
-
-    const { key, langIndex, originalValue, originalText, originalAttributes } = state.currentEditContext;
+/**
+ * Compute the value the modal editor would save, using the smart save logic
+ * for the active view (Code View or Design View).
+ * @returns {string} - The value to store in modifiedDataSource
+ */
+function getEditorValue() {
+    const { originalValue, originalText, originalAttributes } = state.currentEditContext;
 
     let newValue;
 
@@ -754,18 +1256,11 @@ function handleModalSave() {
         if (codeViewHTML === codeViewBaseline) {
             // Case 1: No edits made — preserve original value exactly
             newValue = originalValue;
-        } else if (!htmlContainsTags(codeViewHTML)) {
-            // Case 2: User replaced content with plain text (no HTML tags) — save as plain text
-            newValue = codeViewHTML;
         } else {
+            // Case 2: User replaced content with plain text (no HTML tags) — save as plain text
             // Case 3 & 4: Content contains HTML tags
             // Save the HTML as-is (user is directly editing raw HTML, so respect their intent)
             newValue = codeViewHTML;
-
-            // Also update originalAttributes in the edit context so that if the user
-            // later switches to Design View and applies formatting, the new structure
-            // from Code View will be preserved
-            state.currentEditContext.originalAttributes = extractHTMLAttributes(codeViewHTML);
         }
     } else {
         // ── Design View: smart save logic to avoid unnecessary HTML wrapping ──
@@ -793,169 +1288,5304 @@ function handleModalSave() {
         }
     }
 
-    // Update modifiedDataSource
-    modifiedDataSource[langIndex].Translations[key] = newValue;
+    return newValue;
+}
 
-    // Mark as having unsaved changes
-    state.hasUnsavedChanges = true;
-    updateUI();
+function handleModalSave() {
+    if (!state.currentEditContext) {
+        return;
+    }
 
-    // Close the modal
-    closeEditModal();
+    const { key, langIndex } = state.currentEditContext;
 
-    // Re-render table to show updated value
-    renderTable();
-}
+    // Broken markup needs the explicit override checkbox
+    if (state.isCodeViewActive && !isCodeViewSaveAllowed()) {
+        return;
+    }
 
-function handleModalCancel() {
-    closeEditModal();
-}
+    let newValue = getEditorValue();
 
-function closeEditModal() {
-    state.currentEditContext = null;
+    // Strip unsafe markup (mainly from Code View); the modal stays open if the user declines
+    const sanitized = sanitizeHTML(newValue);
+    if (sanitized.removed.length > 0) {
+        const removedList = sanitized.removed.map(item => `  - ${item}`).join('\n');
+        if (!confirm(`The following unsafe HTML will be removed:\n${removedList}\n\nSave the cleaned value?`)) {
+            return;
+        }
+        newValue = sanitized.html;
+    }
 
-    // Reset to design view if in code view
-    if (state.isCodeViewActive) {
-        const quillEditorContainer = document.getElementById('quill-editor');
-        const codeViewContainer = document.getElementById('code-view');
+    if (state.isCodeViewActive && htmlContainsTags(newValue)) {
+        // Also update originalAttributes in the edit context so that if the user
+        // later switches to Design View and applies formatting, the new structure
+        // from Code View will be preserved
+        state.currentEditContext.originalAttributes = extractHTMLAttributes(newValue);
+    }
 
-        codeViewContainer.style.display = 'none';
-        quillEditorContainer.style.display = 'block';
+    const translations = modifiedDataSource[langIndex].Translations;
+    const previousValue = Object.prototype.hasOwnProperty.call(translations, key) ? translations[key] : null;
 
-        state.isCodeViewActive = false;
+    // Warn about (or block) edits that add or remove placeholders; the modal stays open
+    if (!confirmPlaceholderChanges(langIndex, key, newValue, previousValue)) {
+        return;
     }
 
-    // Always reset button state (even if not in code view, to ensure clean state)
-    const codeViewButton = document.querySelector('.ql-code-view');
-    if (codeViewButton) {
-        codeViewButton.classList.remove('ql-active');
-        codeViewButton.removeAttribute('data-active');
-    }
+    // Close the modal
+    closeEditModal();
 
-    // Clear the editor content
-    if (state.quillEditor) {
-        state.quillEditor.root.innerHTML = '';
+    // Nothing to record if the value is unchanged (including an untouched missing cell)
+    if (newValue === (previousValue === null ? '' : previousValue)) {
+        return;
     }
 
-    // Hide the modal (do this last to avoid visual glitches)
-    const modal = document.getElementById('edit-modal');
-    modal.style.display = 'none';
+    // Update modifiedDataSource through the edit history and re-render
+    commitTranslationChanges(`Edit ${key}`, [{
+        language: modifiedDataSource[langIndex].LanguageTwoLetter,
+        key,
+        oldValue: previousValue,
+        newValue
+    }]);
 }
 
 // ========================================
-// SEARCH FUNCTIONALITY
+// CODE VIEW MARKUP CHECK
 // ========================================
 
-function handleSearchInput(e) {
-    const query = e.target.value;
-    
-    // Show/hide clear button
-    const clearBtn = document.getElementById('clear-search-btn');
-    clearBtn.style.display = query ? 'block' : 'none';
-    
-    // Debounce search
-    clearTimeout(state.searchDebounceTimer);
-    state.searchDebounceTimer = setTimeout(() => {
-        performSearch(query);
-    }, 300);
-}
-
-function handleClearSearch() {
-    const searchInput = document.getElementById('search-input');
-    searchInput.value = '';
-    document.getElementById('clear-search-btn').style.display = 'none';
-    performSearch('');
-}
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+    'param', 'source', 'track', 'wbr'
+]);
 
-function performSearch(query) {
-    // Close modal if open when search is performed
-    if (state.currentEditContext) {
-        closeEditModal();
-    }
+// One tag starting at a "<": closing slash, name, attributes (quoted values may contain ">")
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
 
-    state.searchQuery = query;
-    state.isSearchActive = query.trim() !== '';
+// Zero or more well-formed attributes, optionally followed by a self-closing slash
+const ATTRIBUTES_PATTERN = /^(?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?$/;
 
-    // Clear sort state when searching
-    if (state.isSearchActive) {
-        state.sortState = {};
+/**
+ * Find every tag in an HTML string, skipping comments and doctypes.
+ * Used by the markup check, the tag matching and the formatter.
+ * @param {string} html - HTML source
+ * @returns {Object} - { tags, unterminated } where tags are
+ *                     { start, end, name, closing, selfClosing, attributes } in source order
+ *                     and unterminated lists the start index of each "<tag" without ">"
+ */
+function scanHTMLTags(html) {
+    const tags = [];
+    const unterminated = [];
+    if (!html) {
+        return { tags, unterminated };
     }
 
-    // Reset pagination to page 1 when search changes
-    state.pagination.currentPage = 1;
+    // Blank out comments and doctypes, keeping offsets (and newlines) unchanged
+    const source = html.replace(/<!--[\s\S]*?-->|<![^>]*>/g, match => match.replace(/[^\n]/g, ' '));
 
-    renderTable();
-}
+    let index = source.indexOf('<');
+    while (index !== -1) {
+        const next = source.charAt(index + 1);
 
-function getSearchResults() {
-    if (!state.searchQuery.trim()) {
-        return modifiedDataSource;
-    }
+        // "<" followed by anything but a tag name or "/" is plain text (e.g. "a < b")
+        if (!/[a-zA-Z\/]/.test(next)) {
+            index = source.indexOf('<', index + 1);
+            continue;
+        }
 
-    try {
-        // Escape special regex characters for literal search
-        const escapedQuery = state.searchQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        // Create case-insensitive global regex
-        const regex = new RegExp(escapedQuery, 'gi');
-
-        const results = modifiedDataSource.map(lang => {
-            const filteredTranslations = {};
-
-            Object.keys(lang.Translations).forEach(key => {
-                const value = lang.Translations[key];
-
-                // Search in both key and value
-                // Reset regex lastIndex for global flag
-                regex.lastIndex = 0;
-                const keyMatch = regex.test(key);
-                regex.lastIndex = 0;
-                const valueMatch = regex.test(value);
-
-                if (keyMatch || valueMatch) {
-                    filteredTranslations[key] = value;
-                }
-            });
+        TAG_PATTERN.lastIndex = index;
+        const match = TAG_PATTERN.exec(source);
+        if (!match) {
+            unterminated.push(index);
+            index = source.indexOf('<', index + 1);
+            continue;
+        }
 
-            return {
-                LanguageTwoLetter: lang.LanguageTwoLetter,
-                Translations: filteredTranslations
-            };
+        const [fullMatch, closingSlash, rawName, attributes] = match;
+        const name = rawName.toLowerCase();
+        tags.push({
+            start: index,
+            end: index + fullMatch.length,
+            name,
+            closing: Boolean(closingSlash),
+            selfClosing: !closingSlash && (VOID_ELEMENTS.has(name) || /\/\s*$/.test(attributes)),
+            attributes
         });
 
-        return results;
-    } catch (e) {
-        // Invalid regex, return all results
-        console.error('Search error:', e);
-        return modifiedDataSource;
+        index = source.indexOf('<', index + fullMatch.length);
     }
-}
 
-// ========================================
-// SORTING FUNCTIONALITY
-// ========================================
-
-function toggleColumnCollapse(columnIndex) {
-    if (state.collapsedColumns.has(columnIndex)) {
-        state.collapsedColumns.delete(columnIndex);
-    } else {
-        state.collapsedColumns.add(columnIndex);
-    }
-    renderTable();
+    return { tags, unterminated };
 }
 
-function cycleSortState(columnIndex) {
-    const currentSort = state.sortState[columnIndex];
-
-    // Cycle: null -> asc -> desc -> null
-    if (!currentSort) {
-        state.sortState = { [columnIndex]: 'asc' };
-    } else if (currentSort === 'asc') {
-        state.sortState = { [columnIndex]: 'desc' };
-    } else {
-        state.sortState = {};
+/**
+ * Check an HTML string for unbalanced or malformed markup. Browsers silently
+ * repair such markup, so the check scans the source instead of parsing it.
+ * @param {string} html - HTML from the Code View textarea
+ * @returns {Array<Object>} - Problems as { line, message }, in source order
+ */
+function checkHTMLWellFormedness(html) {
+    const errors = [];
+    if (!html) {
+        return errors;
+    }
+
+    const lineAt = index => html.slice(0, index).split('\n').length;
+    const { tags, unterminated } = scanHTMLTags(html);
+    const stack = [];
+
+    unterminated.forEach(index => {
+        errors.push({ line: lineAt(index), message: 'Unterminated tag (missing ">")' });
+    });
+
+    tags.forEach(tag => {
+        const line = lineAt(tag.start);
+
+        if (!tag.closing && !ATTRIBUTES_PATTERN.test(tag.attributes)) {
+            errors.push({ line, message: `Malformed attributes in <${tag.name}>` });
+        }
+
+        if (tag.closing) {
+            if (VOID_ELEMENTS.has(tag.name)) {
+                errors.push({ line, message: `</${tag.name}> is not allowed: <${tag.name}> has no closing tag` });
+                return;
+            }
+            const openIndex = stack.map(entry => entry.tagName).lastIndexOf(tag.name);
+            if (openIndex === -1) {
+                errors.push({ line, message: `Stray closing tag </${tag.name}>` });
+            } else {
+                // Everything opened after the matching tag was left unclosed
+                stack.splice(openIndex).slice(1).forEach(entry => {
+                    errors.push({ line: entry.line, message: `Unclosed <${entry.tagName}> (closed implicitly by </${tag.name}> on line ${line})` });
+                });
+            }
+        } else if (!tag.selfClosing) {
+            stack.push({ tagName: tag.name, line });
+        }
+    });
+
+    stack.forEach(entry => {
+        errors.push({ line: entry.line, message: `Unclosed <${entry.tagName}>` });
+    });
+
+    return errors.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Compare the element structure of two HTML strings: which tags and which
+ * tag attributes were added or removed (counted, order-independent).
+ * @param {string} beforeHTML - HTML shown when Code View opened
+ * @param {string} afterHTML - Current Code View HTML
+ * @returns {Object} - { addedTags, removedTags, addedAttrs, removedAttrs } lists of descriptions
+ */
+function computeHTMLStructureDiff(beforeHTML, afterHTML) {
+    const collect = (html) => {
+        const tags = new Map();
+        const attrs = new Map();
+        const doc = new DOMParser().parseFromString(html || '', 'text/html');
+        doc.body.querySelectorAll('*').forEach(element => {
+            const tagName = element.tagName.toLowerCase();
+            tags.set(tagName, (tags.get(tagName) || 0) + 1);
+            Array.from(element.attributes).forEach(attr => {
+                const description = `${attr.name}="${attr.value}" on <${tagName}>`;
+                attrs.set(description, (attrs.get(description) || 0) + 1);
+            });
+        });
+        return { tags, attrs };
+    };
+
+    const difference = (from, to, format) => {
+        const result = [];
+        to.forEach((count, name) => {
+            const delta = count - (from.get(name) || 0);
+            if (delta > 0) {
+                result.push(format(name, delta));
+            }
+        });
+        return result;
+    };
+
+    const before = collect(beforeHTML);
+    const after = collect(afterHTML);
+    const formatTag = (name, count) => (count > 1 ? `<${name}> ×${count}` : `<${name}>`);
+    const formatAttr = (name, count) => (count > 1 ? `${name} ×${count}` : name);
+
+    return {
+        addedTags: difference(before.tags, after.tags, formatTag),
+        removedTags: difference(after.tags, before.tags, formatTag),
+        addedAttrs: difference(before.attrs, after.attrs, formatAttr),
+        removedAttrs: difference(after.attrs, before.attrs, formatAttr)
+    };
+}
+
+/**
+ * Run the markup check and structural diff on the Code View textarea and
+ * render both below it.
+ */
+function validateCodeView() {
+    if (!state.currentEditContext || !state.isCodeViewActive) {
+        return;
+    }
+
+    const html = document.getElementById('code-view-textarea').value;
+    const errors = checkHTMLWellFormedness(html);
+    state.currentEditContext.codeViewErrors = errors;
+
+    // Errors
+    const errorsPanel = document.getElementById('code-view-errors');
+    const errorList = document.getElementById('code-view-error-list');
+    errorList.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = `Line ${error.line}: ${error.message}`;
+        errorList.appendChild(item);
+    });
+    errorsPanel.style.display = errors.length > 0 ? 'block' : 'none';
+
+    // Structural diff
+    const diff = computeHTMLStructureDiff(state.currentEditContext.codeViewInitialHTML, html);
+    const diffPanel = document.getElementById('code-view-diff');
+    const diffList = document.getElementById('code-view-diff-list');
+    diffList.innerHTML = '';
+
+    const addDiffItems = (items, prefix, className) => {
+        items.forEach(description => {
+            const item = document.createElement('li');
+            item.className = className;
+            item.textContent = `${prefix} ${description}`;
+            diffList.appendChild(item);
+        });
+    };
+    addDiffItems(diff.addedTags, '+', 'diff-added');
+    addDiffItems(diff.removedTags, '−', 'diff-removed');
+    addDiffItems(diff.addedAttrs, '+', 'diff-added');
+    addDiffItems(diff.removedAttrs, '−', 'diff-removed');
+    diffPanel.style.display = diffList.children.length > 0 ? 'block' : 'none';
+
+    updateModalSaveButton();
+}
+
+function isCodeViewSaveAllowed() {
+    const context = state.currentEditContext;
+    if (!context || !context.codeViewErrors || context.codeViewErrors.length === 0) {
+        return true;
+    }
+    return Boolean(context.codeViewOverride);
+}
+
+function updateModalSaveButton() {
+    const saveBtn = document.getElementById('edit-modal-save-btn');
+    saveBtn.disabled = state.isCodeViewActive && !isCodeViewSaveAllowed();
+    saveBtn.title = saveBtn.disabled ? 'Fix the markup errors or check "Save anyway"' : '';
+}
+
+// ========================================
+// CODE EDITOR (HIGHLIGHTING, FIND/REPLACE, FORMAT)
+// ========================================
+
+const CODE_EDITOR_INDENT = '    ';
+
+// Tags the formatter puts on their own lines; everything else stays inline
+const FORMAT_BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav',
+    'figure', 'figcaption', 'address', 'details', 'summary', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'table', 'thead',
+    'tbody', 'tfoot', 'tr', 'td', 'th', 'caption', 'hr', 'center'
+]);
+
+/**
+ * Wire up the Code View editor. The textarea stays the source of truth
+ * (toggleCodeView and handleModalSave read its value); a highlighted <pre>
+ * is layered underneath it and a gutter shows line numbers.
+ */
+function initializeCodeEditor() {
+    const textarea = document.getElementById('code-view-textarea');
+
+    textarea.addEventListener('input', refreshCodeEditor);
+    textarea.addEventListener('scroll', syncCodeEditorScroll);
+    textarea.addEventListener('keydown', handleCodeEditorKeydown);
+    // Caret moves change which tag pair is matched
+    ['click', 'keyup', 'select'].forEach(eventName => {
+        textarea.addEventListener(eventName, renderCodeHighlight);
+    });
+
+    document.getElementById('code-find-next-btn').addEventListener('click', () => findInCodeEditor());
+    document.getElementById('code-replace-btn').addEventListener('click', replaceInCodeEditor);
+    document.getElementById('code-replace-all-btn').addEventListener('click', replaceAllInCodeEditor);
+    document.getElementById('code-format-btn').addEventListener('click', formatCodeEditor);
+    document.getElementById('code-find-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            findInCodeEditor();
+        }
+    });
+}
+
+function refreshCodeEditor() {
+    renderCodeGutter();
+    renderCodeHighlight();
+    syncCodeEditorScroll();
+}
+
+function renderCodeGutter() {
+    const lineCount = document.getElementById('code-view-textarea').value.split('\n').length;
+    const numbers = [];
+    for (let i = 1; i <= lineCount; i++) {
+        numbers.push(i);
+    }
+    document.getElementById('code-editor-gutter').textContent = numbers.join('\n');
+}
+
+function syncCodeEditorScroll() {
+    const textarea = document.getElementById('code-view-textarea');
+    const highlight = document.getElementById('code-editor-highlight');
+    highlight.scrollTop = textarea.scrollTop;
+    highlight.scrollLeft = textarea.scrollLeft;
+    document.getElementById('code-editor-gutter').scrollTop = textarea.scrollTop;
+}
+
+function escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Pair opening and closing tags.
+ * @param {Array<Object>} tags - Tags from scanHTMLTags()
+ * @returns {Map<number, Object>} - Tag start index to its partner tag
+ */
+function findMatchingTagPairs(tags) {
+    const pairs = new Map();
+    const stack = [];
+
+    tags.forEach(tag => {
+        if (tag.selfClosing) {
+            return;
+        }
+        if (!tag.closing) {
+            stack.push(tag);
+            return;
+        }
+        const openIndex = stack.map(open => open.name).lastIndexOf(tag.name);
+        if (openIndex !== -1) {
+            const open = stack[openIndex];
+            stack.length = openIndex;
+            pairs.set(open.start, tag);
+            pairs.set(tag.start, open);
+        }
+    });
+
+    return pairs;
+}
+
+/**
+ * Render a highlighted tag: name, attribute names and values get their own classes.
+ * @param {string} tagSource - Full tag source, e.g. <div class="x">
+ * @param {boolean} isMatched - Whether the tag is part of the matched pair at the caret
+ * @returns {string} - HTML for the highlight layer
+ */
+function highlightTag(tagSource, isMatched) {
+    const match = /^(<\/?)([a-zA-Z][\w:-]*)([\s\S]*?)(\/?>)$/.exec(tagSource);
+    if (!match) {
+        return escapeHTML(tagSource);
+    }
+
+    const [, open, name, attributes, close] = match;
+    const highlightedAttributes = escapeHTML(attributes).replace(
+        /([^\s=]+)(\s*=\s*)(&quot;[\s\S]*?&quot;|'[^']*'|[^\s]+)?/g,
+        (all, attrName, equals, value) => `<span class="tok-attr">${attrName}</span>${equals}` +
+            (value ? `<span class="tok-value">${value}</span>` : '')
+    );
+
+    const className = isMatched ? 'tok-tag tok-match' : 'tok-tag';
+    return `<span class="${className}">${escapeHTML(open)}${name}</span>${highlightedAttributes}` +
+        `<span class="${className}">${escapeHTML(close)}</span>`;
+}
+
+function highlightText(text) {
+    return escapeHTML(text)
+        .replace(/&amp;(#?\w+);/g, '<span class="tok-entity">&amp;$1;</span>')
+        .replace(/\{[^{}\n]+\}/g, '<span class="tok-placeholder">$&</span>');
+}
+
+/**
+ * Re-render the highlight layer from the textarea value, marking the tag
+ * pair around the caret.
+ */
+function renderCodeHighlight() {
+    const textarea = document.getElementById('code-view-textarea');
+    const source = textarea.value;
+    const { tags } = scanHTMLTags(source);
+
+    // Tag pair to mark: the tag containing the caret and its partner
+    const caret = textarea.selectionStart;
+    const matched = new Set();
+    const caretTag = tags.find(tag => caret > tag.start && caret < tag.end);
+    if (caretTag) {
+        const partner = findMatchingTagPairs(tags).get(caretTag.start);
+        if (partner) {
+            matched.add(caretTag.start);
+            matched.add(partner.start);
+        }
+    }
+
+    const parts = [];
+    let position = 0;
+    const pushText = (end) => {
+        if (end <= position) {
+            return;
+        }
+        // Comments are not tags, highlight them inside the text runs
+        const text = source.slice(position, end);
+        parts.push(text.split(/(<!--[\s\S]*?-->)/).map((piece, i) => (
+            i % 2 === 1 ? `<span class="tok-comment">${escapeHTML(piece)}</span>` : highlightText(piece)
+        )).join(''));
+    };
+
+    tags.forEach(tag => {
+        pushText(tag.start);
+        parts.push(highlightTag(source.slice(tag.start, tag.end), matched.has(tag.start)));
+        position = tag.end;
+    });
+    pushText(source.length);
+
+    // Trailing newline keeps the last line's height in sync with the textarea
+    document.getElementById('code-editor-highlight').innerHTML = parts.join('') + '\n';
+}
+
+/**
+ * Insert text at the caret, keeping the browser's native undo stack when possible.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {string} text
+ */
+function insertCodeText(textarea, text) {
+    textarea.focus();
+    const inserted = typeof document.execCommand === 'function' && document.execCommand('insertText', false, text);
+    if (!inserted) {
+        textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+        textarea.dispatchEvent(new Event('input'));
+    }
+}
+
+/**
+ * Auto-indent on Enter (one level deeper after an opening tag) and
+ * indent with spaces on Tab.
+ */
+function handleCodeEditorKeydown(e) {
+    const textarea = e.target;
+
+    if (e.key === 'Tab' && !e.shiftKey && !e.ctrlKey && !e.altKey && !e.metaKey) {
+        e.preventDefault();
+        insertCodeText(textarea, CODE_EDITOR_INDENT);
+        return;
+    }
+
+    if (e.key !== 'Enter' || e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) {
+        return;
+    }
+
+    const before = textarea.value.slice(0, textarea.selectionStart);
+    const currentLine = before.slice(before.lastIndexOf('\n') + 1);
+    let indent = /^\s*/.exec(currentLine)[0];
+
+    const openingTag = /<([a-zA-Z][\w:-]*)(?:[^>"']|"[^"]*"|'[^']*')*>\s*$/.exec(currentLine);
+    if (openingTag && !VOID_ELEMENTS.has(openingTag[1].toLowerCase()) && !/\/>\s*$/.test(currentLine)) {
+        indent += CODE_EDITOR_INDENT;
+    }
+
+    e.preventDefault();
+    insertCodeText(textarea, '\n' + indent);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Select the next case-insensitive match after the caret, wrapping around.
+ * @returns {boolean} - True if a match was found
+ */
+function findInCodeEditor() {
+    const textarea = document.getElementById('code-view-textarea');
+    const query = document.getElementById('code-find-input').value;
+    const status = document.getElementById('code-find-status');
+
+    if (!query) {
+        status.textContent = '';
+        return false;
+    }
+
+    const haystack = textarea.value.toLowerCase();
+    const needle = query.toLowerCase();
+    const total = haystack.split(needle).length - 1;
+
+    let index = haystack.indexOf(needle, textarea.selectionEnd);
+    if (index === -1) {
+        index = haystack.indexOf(needle);
+    }
+
+    if (index === -1) {
+        status.textContent = 'No matches';
+        return false;
+    }
+
+    textarea.focus();
+    textarea.setSelectionRange(index, index + query.length);
+
+    // Scroll the match into view (line height is fixed in the editor)
+    const line = textarea.value.slice(0, index).split('\n').length;
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+    textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    syncCodeEditorScroll();
+    renderCodeHighlight();
+
+    status.textContent = `${total} match${total === 1 ? '' : 'es'}`;
+    return true;
+}
+
+function replaceInCodeEditor() {
+    const textarea = document.getElementById('code-view-textarea');
+    const query = document.getElementById('code-find-input').value;
+    const replacement = document.getElementById('code-replace-input').value;
+
+    if (!query) {
+        return;
+    }
+
+    // Replace the current selection if it is a match, then move to the next one
+    const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+    if (selected.toLowerCase() === query.toLowerCase()) {
+        insertCodeText(textarea, replacement);
+    }
+    findInCodeEditor();
+}
+
+function replaceAllInCodeEditor() {
+    const textarea = document.getElementById('code-view-textarea');
+    const query = document.getElementById('code-find-input').value;
+    const replacement = document.getElementById('code-replace-input').value;
+
+    if (!query) {
+        return;
+    }
+
+    const regex = new RegExp(escapeRegExp(query), 'gi');
+    const count = (textarea.value.match(regex) || []).length;
+    if (count > 0) {
+        textarea.focus();
+        textarea.select();
+        insertCodeText(textarea, textarea.value.replace(regex, () => replacement));
+    }
+    document.getElementById('code-find-status').textContent = `Replaced ${count} match${count === 1 ? '' : 'es'}`;
+}
+
+/**
+ * Pretty-print HTML: block-level tags on their own lines, indented by nesting
+ * depth; inline tags and text are kept on one line with whitespace collapsed.
+ * <pre> content is copied unchanged.
+ * @param {string} html - HTML source
+ * @returns {string} - Formatted HTML
+ */
+function formatHTML(html) {
+    const { tags } = scanHTMLTags(html);
+    const lines = [];
+    let depth = 0;
+    let currentLine = '';
+    let position = 0;
+    let preDepth = 0;
+
+    const flush = () => {
+        const trimmed = currentLine.trim();
+        if (trimmed) {
+            lines.push(CODE_EDITOR_INDENT.repeat(depth) + trimmed);
+        }
+        currentLine = '';
+    };
+
+    const appendText = (text) => {
+        currentLine += preDepth > 0 ? text : text.replace(/\s+/g, ' ');
+    };
+
+    tags.forEach(tag => {
+        appendText(html.slice(position, tag.start));
+        const tagSource = html.slice(tag.start, tag.end);
+        position = tag.end;
+
+        if (tag.name === 'pre') {
+            preDepth += tag.closing ? -1 : 1;
+        }
+
+        if (preDepth > 0 || (tag.name === 'pre' && tag.closing) || !FORMAT_BLOCK_TAGS.has(tag.name)) {
+            currentLine += tagSource;
+            // <br> ends the line
+            if (tag.name === 'br' && preDepth === 0) {
+                flush();
+            }
+            return;
+        }
+
+        flush();
+        if (tag.closing) {
+            depth = Math.max(0, depth - 1);
+            lines.push(CODE_EDITOR_INDENT.repeat(depth) + tagSource);
+        } else {
+            lines.push(CODE_EDITOR_INDENT.repeat(depth) + tagSource);
+            if (!tag.selfClosing) {
+                depth++;
+            }
+        }
+    });
+
+    appendText(html.slice(position));
+    flush();
+
+    return lines.join('\n');
+}
+
+function formatCodeEditor() {
+    const textarea = document.getElementById('code-view-textarea');
+    const formatted = formatHTML(textarea.value);
+    if (formatted !== textarea.value) {
+        textarea.focus();
+        textarea.select();
+        insertCodeText(textarea, formatted);
+    }
+}
+
+// ========================================
+// SAMPLE DATA PROFILES
+// ========================================
+
+const SAMPLE_PROFILES_STORAGE_KEY = 'language-table-sample-profiles';
+
+function initializeSampleDataControls() {
+    loadSampleProfiles();
+
+    const toggle = document.getElementById('sample-data-toggle');
+    toggle.checked = state.sampleData.applyToTable;
+    toggle.addEventListener('change', (e) => {
+        state.sampleData.applyToTable = e.target.checked;
+        renderTable();
+    });
+
+    document.getElementById('sample-profile-select').addEventListener('change', (e) => {
+        setActiveSampleProfile(e.target.value);
+    });
+
+    // Profiles dialog
+    document.getElementById('sample-profiles-btn').addEventListener('click', openSampleProfilesDialog);
+    document.getElementById('sample-profiles-close-btn').addEventListener('click', () => closeDialog('sample-profiles-modal'));
+    document.getElementById('sample-profile-edit-select').addEventListener('change', (e) => {
+        showSampleProfileInDialog(e.target.value);
+    });
+    document.getElementById('sample-profile-save-btn').addEventListener('click', handleSampleProfileSave);
+    document.getElementById('sample-profile-new-btn').addEventListener('click', handleSampleProfileNew);
+    document.getElementById('sample-profile-delete-btn').addEventListener('click', handleSampleProfileDelete);
+    document.getElementById('sample-profiles-export-btn').addEventListener('click', exportSampleProfiles);
+    document.getElementById('sample-profiles-import-btn').addEventListener('click', () => {
+        document.getElementById('sample-profiles-file').click();
+    });
+    document.getElementById('sample-profiles-file').addEventListener('change', handleSampleProfilesImport);
+
+    renderSampleProfileSelect();
+}
+
+/**
+ * Validate and normalize profiles from JSON. Accepts { profiles: [...] },
+ * a bare array of profiles, or a single { name, values } profile.
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Object>} - Profiles as { name, values } with string values
+ * @throws {Error} - If the data is not in a supported shape
+ */
+function normalizeSampleProfiles(data) {
+    let profiles;
+    if (Array.isArray(data)) {
+        profiles = data;
+    } else if (data && Array.isArray(data.profiles)) {
+        profiles = data.profiles;
+    } else if (data && typeof data.name === 'string') {
+        profiles = [data];
+    } else {
+        throw new Error('Expected { "profiles": [{ "name": ..., "values": {...} }] }.');
+    }
+
+    return profiles.map((profile, index) => {
+        if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+            throw new Error(`Profile ${index + 1} has no name.`);
+        }
+        if (!profile.values || typeof profile.values !== 'object' || Array.isArray(profile.values)) {
+            throw new Error(`Profile "${profile.name}" has no "values" object.`);
+        }
+        const values = {};
+        Object.keys(profile.values).forEach(token => {
+            values[token] = String(profile.values[token]);
+        });
+        return { name: profile.name.trim(), values };
+    });
+}
+
+function loadSampleProfiles() {
+    try {
+        const stored = localStorage.getItem(SAMPLE_PROFILES_STORAGE_KEY);
+        if (!stored) {
+            return;
+        }
+        const data = JSON.parse(stored);
+        const profiles = normalizeSampleProfiles(data);
+        if (profiles.length > 0) {
+            state.sampleData.profiles = profiles;
+            state.sampleData.activeProfile = profiles.some(p => p.name === data.activeProfile)
+                ? data.activeProfile
+                : profiles[0].name;
+        }
+    } catch (error) {
+        console.warn('Could not read sample data profiles from localStorage:', error);
+    }
+}
+
+function storeSampleProfiles() {
+    try {
+        localStorage.setItem(SAMPLE_PROFILES_STORAGE_KEY, JSON.stringify({
+            activeProfile: state.sampleData.activeProfile,
+            profiles: state.sampleData.profiles
+        }));
+    } catch (error) {
+        console.warn('Could not save sample data profiles to localStorage:', error);
+    }
+}
+
+function renderSampleProfileSelect() {
+    const select = document.getElementById('sample-profile-select');
+    select.innerHTML = '';
+    state.sampleData.profiles.forEach(profile => {
+        select.appendChild(new Option(profile.name, profile.name));
+    });
+    select.value = state.sampleData.activeProfile;
+}
+
+function setActiveSampleProfile(name) {
+    state.sampleData.activeProfile = name;
+    storeSampleProfiles();
+    renderSampleProfileSelect();
+
+    if (state.sampleData.applyToTable) {
+        renderTable();
+    }
+}
+
+function openSampleProfilesDialog() {
+    if (state.currentEditContext) {
+        return;
+    }
+
+    renderSampleProfileDialogSelect(state.sampleData.activeProfile);
+    showSampleProfileInDialog(state.sampleData.activeProfile);
+    openDialog('sample-profiles-modal');
+}
+
+function renderSampleProfileDialogSelect(selectedName) {
+    const select = document.getElementById('sample-profile-edit-select');
+    select.innerHTML = '';
+    state.sampleData.profiles.forEach(profile => {
+        select.appendChild(new Option(profile.name, profile.name));
+    });
+    select.value = selectedName;
+}
+
+function showSampleProfileInDialog(name) {
+    const profile = state.sampleData.profiles.find(p => p.name === name);
+    document.getElementById('sample-profile-name').value = profile ? profile.name : '';
+    document.getElementById('sample-profile-values').value = profile ? JSON.stringify(profile.values, null, 4) : '{}';
+    document.getElementById('sample-profiles-error').textContent = '';
+}
+
+function handleSampleProfileSave() {
+    const errorElement = document.getElementById('sample-profiles-error');
+    const editedName = document.getElementById('sample-profile-edit-select').value;
+    const name = document.getElementById('sample-profile-name').value.trim();
+
+    let profile;
+    try {
+        const values = JSON.parse(document.getElementById('sample-profile-values').value || '{}');
+        profile = normalizeSampleProfiles({ name, values })[0];
+    } catch (error) {
+        errorElement.textContent = error.message;
+        return;
+    }
+
+    const { profiles } = state.sampleData;
+    if (name !== editedName && profiles.some(p => p.name === name)) {
+        errorElement.textContent = `A profile named "${name}" already exists.`;
+        return;
+    }
+
+    const index = profiles.findIndex(p => p.name === editedName);
+    if (index === -1) {
+        profiles.push(profile);
+    } else {
+        profiles[index] = profile;
+    }
+
+    if (state.sampleData.activeProfile === editedName || index === -1) {
+        state.sampleData.activeProfile = profile.name;
+    }
+
+    errorElement.textContent = '';
+    renderSampleProfileDialogSelect(profile.name);
+    setActiveSampleProfile(state.sampleData.activeProfile);
+}
+
+function handleSampleProfileNew() {
+    const select = document.getElementById('sample-profile-edit-select');
+    select.appendChild(new Option('(new profile)', ''));
+    select.value = '';
+    showSampleProfileInDialog('');
+    document.getElementById('sample-profile-name').focus();
+}
+
+function handleSampleProfileDelete() {
+    const name = document.getElementById('sample-profile-edit-select').value;
+    const { profiles } = state.sampleData;
+
+    if (profiles.length <= 1 && name) {
+        document.getElementById('sample-profiles-error').textContent = 'The last profile cannot be deleted.';
+        return;
+    }
+    if (name && !confirm(`Delete the sample data profile "${name}"?`)) {
+        return;
+    }
+
+    state.sampleData.profiles = profiles.filter(p => p.name !== name);
+    const nextActive = state.sampleData.activeProfile === name
+        ? state.sampleData.profiles[0].name
+        : state.sampleData.activeProfile;
+
+    renderSampleProfileDialogSelect(nextActive);
+    showSampleProfileInDialog(nextActive);
+    setActiveSampleProfile(nextActive);
+}
+
+function exportSampleProfiles() {
+    const json = JSON.stringify({ profiles: state.sampleData.profiles }, null, 4);
+    downloadFile('sample-data-profiles.json', json, 'application/json');
+}
+
+/**
+ * Import profiles from a JSON file. Profiles with an existing name replace it.
+ */
+function handleSampleProfilesImport(e) {
+    const file = e.target.files[0];
+    // Allow importing the same file again
+    e.target.value = '';
+    if (!file) {
+        return;
+    }
+
+    const errorElement = document.getElementById('sample-profiles-error');
+    readFileAsText(file)
+        .then(text => {
+            const imported = normalizeSampleProfiles(JSON.parse(text));
+            imported.forEach(profile => {
+                const index = state.sampleData.profiles.findIndex(p => p.name === profile.name);
+                if (index === -1) {
+                    state.sampleData.profiles.push(profile);
+                } else {
+                    state.sampleData.profiles[index] = profile;
+                }
+            });
+
+            errorElement.textContent = '';
+            renderSampleProfileDialogSelect(imported[0].name);
+            showSampleProfileInDialog(imported[0].name);
+            setActiveSampleProfile(state.sampleData.activeProfile);
+        })
+        .catch(error => {
+            errorElement.textContent = `Import failed: ${error.message}`;
+        });
+}
+
+// ========================================
+// FILE HELPERS
+// ========================================
+
+/**
+ * Offer content as a file download.
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type, e.g. 'application/json'
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Read a File as UTF-8 text.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error('Could not read the file.'));
+        reader.readAsText(file, 'UTF-8');
+    });
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted fields may contain
+ * delimiters, quotes doubled, and line breaks). A UTF-8 BOM is ignored and
+ * the delimiter (comma, semicolon or tab, as saved by spreadsheet apps in
+ * different locales) is detected from the first line. Unquoted empty fields
+ * are null, so a quoted "" (an empty value) can be told apart from no value.
+ * @param {string} text - CSV file content
+ * @returns {Array<Array<string|null>>} - Rows of cells; blank lines are skipped
+ */
+function parseCSV(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let wasQuoted = false;
+
+    const endCell = () => {
+        row.push(cell === '' && !wasQuoted ? null : cell);
+        cell = '';
+        wasQuoted = false;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+            wasQuoted = true;
+        } else if (char === delimiter) {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endCell();
+            rows.push(row);
+            row = [];
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || wasQuoted || row.length > 0) {
+        endCell();
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value !== null));
+}
+
+// ========================================
+// EMAIL PREVIEW
+// ========================================
+
+function initializeEmailPreview() {
+    const toggle = document.getElementById('edit-modal-preview-toggle');
+    const deviceSelect = document.getElementById('email-preview-device');
+    const sampleDataCheckbox = document.getElementById('email-preview-sample-data');
+
+    toggle.checked = state.emailPreview.visible;
+    deviceSelect.value = state.emailPreview.device;
+    sampleDataCheckbox.checked = state.emailPreview.useSampleData;
+
+    toggle.addEventListener('change', (e) => {
+        state.emailPreview.visible = e.target.checked;
+        renderEmailPreview();
+    });
+    deviceSelect.addEventListener('change', (e) => {
+        state.emailPreview.device = e.target.value;
+        renderEmailPreview();
+    });
+    sampleDataCheckbox.addEventListener('change', (e) => {
+        state.emailPreview.useSampleData = e.target.checked;
+        renderEmailPreview();
+    });
+
+    // Follow edits in both views
+    state.quillEditor.on('text-change', scheduleEmailPreviewUpdate);
+    document.getElementById('code-view-textarea').addEventListener('input', scheduleEmailPreviewUpdate);
+}
+
+function scheduleEmailPreviewUpdate() {
+    clearTimeout(state.emailPreview.updateTimer);
+    state.emailPreview.updateTimer = setTimeout(renderEmailPreview, 200);
+}
+
+/**
+ * Replace placeholders in an HTML value with sample values. Tokens without
+ * a sample value are left as they are. Only text is substituted: the value
+ * is parsed and its text nodes are rewritten, so placeholders in attributes
+ * (title, href) stay as written and no markup can be spliced into them.
+ * @param {string} html - Sanitized translation value
+ * @param {Object} sampleValues - Map of placeholder text (inside the braces) to sample value
+ * @param {string} [wrapClass] - If given, each substituted value is wrapped in a span with this class
+ * @returns {string} - HTML with sample values substituted
+ */
+function substitutePlaceholders(html, sampleValues, wrapClass) {
+    if (!html || html.indexOf('{') === -1) {
+        return html;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const regex = new RegExp(state.placeholderValidation.syntaxes.join('|'), 'g');
+
+    const getSample = token => {
+        const name = token.slice(1, -1).trim();
+        // data.Amount.ToString("N2") -> data.Amount
+        const basePath = name.replace(/\.\w+\([^()]*\)$/, '');
+        return Object.prototype.hasOwnProperty.call(sampleValues, name)
+            ? sampleValues[name]
+            : sampleValues[basePath];
+    };
+
+    // Collect first; replacing nodes while walking would derail the walker
+    const textNodes = [];
+    const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(textNode => {
+        const text = textNode.data;
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        let substituted = false;
+        let match;
+
+        // exec rather than a replace callback: custom syntaxes may have capture groups
+        regex.lastIndex = 0;
+        while ((match = regex.exec(text)) !== null) {
+            const token = match[0];
+            if (token === '') {
+                regex.lastIndex++;
+                continue;
+            }
+            const sample = getSample(token);
+            if (sample === undefined) {
+                continue;
+            }
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+            if (wrapClass) {
+                const span = document.createElement('span');
+                span.className = wrapClass;
+                span.title = token;
+                span.textContent = String(sample);
+                fragment.appendChild(span);
+            } else {
+                fragment.appendChild(document.createTextNode(String(sample)));
+            }
+            lastIndex = match.index + token.length;
+            substituted = true;
+        }
+
+        if (substituted) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            textNode.replaceWith(fragment);
+        }
+    });
+
+    return template.innerHTML;
+}
+
+/**
+ * Build the preview document: the sanitized value with the email stylesheet,
+ * rendered in a sandboxed frame so neither the app styles nor any script apply.
+ * @param {string} value - Translation value
+ * @returns {string} - Full HTML document for the frame's srcdoc
+ */
+function buildEmailPreviewDocument(value) {
+    let body = sanitizeHTML(value).html;
+    if (state.emailPreview.useSampleData) {
+        body = substitutePlaceholders(body, getActiveSampleValues());
+    }
+
+    return '<!DOCTYPE html><html><head><meta charset="UTF-8">' +
+        '<meta name="viewport" content="width=device-width, initial-scale=1.0">' +
+        `<style>${state.emailPreview.css}</style></head><body>${body}</body></html>`;
+}
+
+/**
+ * Sample values of the active profile, used by the preview and the table.
+ * @returns {Object}
+ */
+function getActiveSampleValues() {
+    const { profiles, activeProfile } = state.sampleData;
+    const profile = profiles.find(p => p.name === activeProfile) || profiles[0];
+    return profile ? profile.values : {};
+}
+
+function renderEmailPreview() {
+    clearTimeout(state.emailPreview.updateTimer);
+
+    const preview = document.getElementById('edit-modal-preview');
+    if (!state.currentEditContext || !state.emailPreview.visible) {
+        preview.style.display = 'none';
+        return;
+    }
+
+    preview.style.display = 'block';
+
+    const frame = document.getElementById('email-preview-frame');
+    frame.style.width = `${state.emailPreview.widths[state.emailPreview.device]}px`;
+    frame.srcdoc = buildEmailPreviewDocument(getEditorValue());
+}
+
+function handleModalCancel() {
+    closeEditModal();
+}
+
+function handleModalRevert() {
+    if (!state.currentEditContext) {
+        return;
+    }
+
+    // Closing discards the edit; the stored value is reverted only if it was modified
+    const { key, langIndex } = state.currentEditContext;
+    closeEditModal();
+    revertCell(langIndex, key);
+}
+
+/**
+ * Show the read-only original vs current HTML comparison and the Revert
+ * button while the value being edited differs from originalDataSource.
+ * Re-checked on every change in the editor, so an edit to an unmodified
+ * cell shows them too.
+ */
+function renderEditModalCompare() {
+    if (!state.currentEditContext) {
+        return;
+    }
+
+    const { baselineValue, originalValue, isModified } = state.currentEditContext;
+    const editorValue = getEditorValue();
+    // An untouched editor keeps the cell as stored (a missing cell stays missing)
+    const showCompare = editorValue === originalValue ? isModified : editorValue !== baselineValue;
+
+    document.getElementById('edit-modal-compare').style.display = showCompare ? 'grid' : 'none';
+    document.getElementById('edit-modal-revert-btn').style.display = showCompare ? 'inline-block' : 'none';
+
+    if (!showCompare) {
+        return;
+    }
+
+    document.getElementById('edit-modal-compare-original').textContent =
+        baselineValue === null ? '(not present)' : baselineValue;
+    document.getElementById('edit-modal-compare-current').textContent = editorValue;
+}
+
+function closeEditModal() {
+    state.currentEditContext = null;
+
+    // Hide the comparison until the next modified cell is opened
+    document.getElementById('edit-modal-compare').style.display = 'none';
+    document.getElementById('edit-modal-revert-btn').style.display = 'none';
+
+    // Reset to design view if in code view
+    if (state.isCodeViewActive) {
+        const quillEditorContainer = document.getElementById('quill-editor');
+        const codeViewContainer = document.getElementById('code-view');
+
+        codeViewContainer.style.display = 'none';
+        quillEditorContainer.style.display = 'block';
+
+        state.isCodeViewActive = false;
+    }
+
+    // Always reset button state (even if not in code view, to ensure clean state)
+    const codeViewButton = document.querySelector('.ql-code-view');
+    if (codeViewButton) {
+        codeViewButton.classList.remove('ql-active');
+        codeViewButton.removeAttribute('data-active');
+    }
+
+    // Clear the editor content
+    if (state.quillEditor) {
+        state.quillEditor.root.innerHTML = '';
+    }
+
+    // Hide the preview; it is shown again on open if still switched on
+    document.getElementById('edit-modal-preview').style.display = 'none';
+
+    // Reset the markup check for the next edit
+    document.getElementById('code-view-override').checked = false;
+    updateModalSaveButton();
+
+    // Hide the modal (do this last to avoid visual glitches)
+    const modal = document.getElementById('edit-modal');
+    modal.style.display = 'none';
+
+    // Return keyboard focus to the edited cell
+    focusActiveCell();
+}
+
+// ========================================
+// KEY GROUPS (GROUPED VIEW)
+// ========================================
+
+function initializeGroupingControls() {
+    const { grouping } = state;
+
+    const toggle = document.getElementById('group-by-prefix');
+    toggle.checked = grouping.enabled;
+    toggle.addEventListener('change', (e) => {
+        grouping.enabled = e.target.checked;
+        state.pagination.currentPage = 1;
+        renderTable();
+    });
+
+    const separatorInput = document.getElementById('group-separator');
+    separatorInput.value = grouping.separator;
+    separatorInput.addEventListener('input', (e) => {
+        // An empty separator would put every character in its own group
+        grouping.separator = e.target.value || '_';
+        grouping.collapsedGroups.clear();
+        if (grouping.enabled) {
+            state.pagination.currentPage = 1;
+            renderTable();
+        }
+    });
+
+    const depthSelect = document.getElementById('group-depth');
+    depthSelect.value = String(grouping.depth);
+    depthSelect.addEventListener('change', (e) => {
+        grouping.depth = parseInt(e.target.value, 10);
+        if (grouping.enabled) {
+            state.pagination.currentPage = 1;
+            renderTable();
+        }
+    });
+
+    document.getElementById('group-expand-all').addEventListener('click', () => setAllGroupsCollapsed(false));
+    document.getElementById('group-collapse-all').addEventListener('click', () => setAllGroupsCollapsed(true));
+}
+
+/**
+ * Ids of the groups a key belongs to, outermost first. A key is grouped by
+ * at most grouping.depth prefixes and its last segment is never a group, so
+ * "status_payment_aggregated" -> ["status", "status_payment"].
+ * @param {string} key - Translation key
+ * @returns {Array<string>}
+ */
+function getKeyGroupIds(key) {
+    const { separator, depth } = state.grouping;
+    const segments = key.split(separator);
+    const levels = Math.min(depth, segments.length - 1);
+
+    const ids = [];
+    for (let level = 1; level <= levels; level++) {
+        ids.push(segments.slice(0, level).join(separator));
+    }
+    return ids;
+}
+
+/**
+ * Build the rows to render from the ordered keys. Without grouping this is
+ * one row per key. With grouping, groups are listed after the ungrouped keys
+ * of the same level, ordered by the Keys column sort when there is one (by
+ * name, name length, or whether they hold modified or missing rows) and by
+ * name otherwise; keys keep their order within a group and rows of collapsed
+ * groups are left out. A group holding a single key is
+ * not worth a header, so that key is listed in the enclosing group instead.
+ * @param {Array<string>} keys - Keys in render order
+ * @returns {Array<Object>} - { type: 'group', group } or { type: 'key', key, depth, group }
+ */
+function getDisplayRows(keys) {
+    if (!state.grouping.enabled) {
+        return keys.map(key => ({ type: 'key', key, depth: 0, group: null }));
+    }
+
+    const createGroup = (id, parent) => ({
+        id,
+        parent,
+        depth: parent ? parent.depth + 1 : 0,
+        keys: [],
+        children: new Map(),
+        rowCount: 0,
+        missingCount: 0,
+        modifiedCount: 0
+    });
+    const root = createGroup('', null);
+    const keySort = state.sortState.find(sort => sort.column === 'key');
+    const countModified = keySort && keySort.mode === 'modified';
+
+    keys.forEach(key => {
+        let group = root;
+        getKeyGroupIds(key).forEach(id => {
+            if (!group.children.has(id)) {
+                group.children.set(id, createGroup(id, group));
+            }
+            group = group.children.get(id);
+        });
+        group.keys.push(key);
+
+        // Counts include the rows of nested groups
+        const isMissing = isRowMissing(key);
+        const isModified = countModified && isRowModified(key);
+        for (let ancestor = group; ancestor; ancestor = ancestor.parent) {
+            ancestor.rowCount++;
+            if (isMissing) {
+                ancestor.missingCount++;
+            }
+            if (isModified) {
+                ancestor.modifiedCount++;
+            }
+        }
+    });
+
+    // Same values as getSortValue gives keys, so groups and keys sort alike
+    const getGroupSortValue = group => {
+        switch (keySort.mode) {
+            case 'length':
+                return group.id.length;
+            case 'modified':
+                return group.modifiedCount > 0 ? 0 : 1;
+            case 'missing':
+                return group.missingCount > 0 ? 0 : 1;
+            default:
+                return group.id.toLowerCase();
+        }
+    };
+    const compareGroups = (a, b) => {
+        if (keySort) {
+            const factor = keySort.direction === 'asc' ? 1 : -1;
+            const valueA = getGroupSortValue(a);
+            const valueB = getGroupSortValue(b);
+            if (valueA < valueB) return -factor;
+            if (valueA > valueB) return factor;
+        }
+        return a.id.localeCompare(b.id);
+    };
+
+    const rows = [];
+    const appendGroupContent = group => {
+        group.keys.forEach(key => rows.push({ type: 'key', key, depth: group.depth, group: group.parent ? group : null }));
+
+        Array.from(group.children.values())
+            .sort(compareGroups)
+            .forEach(child => {
+                if (child.rowCount === 1) {
+                    let single = child;
+                    while (single.keys.length === 0) {
+                        single = single.children.values().next().value;
+                    }
+                    rows.push({ type: 'key', key: single.keys[0], depth: group.depth, group: group.parent ? group : null });
+                    return;
+                }
+                rows.push({ type: 'group', group: child });
+                if (!state.grouping.collapsedGroups.has(child.id)) {
+                    appendGroupContent(child);
+                }
+            });
+    };
+    appendGroupContent(root);
+
+    return rows;
+}
+
+/**
+ * Groups enclosing a group, outermost first, including the group itself.
+ * @param {Object} group - Group from getDisplayRows()
+ * @returns {Array<Object>}
+ */
+function getGroupAncestors(group) {
+    const ancestors = [];
+    for (let current = group; current && current.parent; current = current.parent) {
+        ancestors.unshift(current);
+    }
+    return ancestors;
+}
+
+/**
+ * Render a group header row with its row and missing-translation counts.
+ * @param {Object} group - Group from getDisplayRows()
+ * @param {boolean} isContinued - True when repeated at the top of a page
+ * @returns {HTMLTableRowElement}
+ */
+function renderGroupRow(group, isContinued) {
+    const isCollapsed = state.grouping.collapsedGroups.has(group.id);
+
+    const row = document.createElement('tr');
+    row.className = 'group-row';
+    row.dataset.group = group.id;
+    row.style.setProperty('--group-depth', group.depth - 1);
+
+    const cell = document.createElement('td');
+    cell.className = 'group-cell';
+    cell.colSpan = getTableColumnCount();
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'group-toggle';
+    toggle.textContent = `${isCollapsed ? '▸' : '▾'} ${group.id}${state.grouping.separator}*`;
+    toggle.setAttribute('aria-expanded', String(!isCollapsed));
+    toggle.dataset.action = 'toggle-group';
+    cell.appendChild(toggle);
+
+    const counts = document.createElement('span');
+    counts.className = 'group-counts';
+    counts.textContent = `${group.rowCount} row${group.rowCount === 1 ? '' : 's'}`;
+    if (group.missingCount > 0) {
+        const missing = document.createElement('span');
+        missing.className = 'group-missing-count';
+        missing.textContent = ` · ${group.missingCount} missing`;
+        counts.appendChild(missing);
+    }
+    if (isContinued) {
+        counts.appendChild(document.createTextNode(' (continued)'));
+    }
+    cell.appendChild(counts);
+
+    row.appendChild(cell);
+    return row;
+}
+
+function toggleGroup(groupId) {
+    const { collapsedGroups } = state.grouping;
+    if (collapsedGroups.has(groupId)) {
+        collapsedGroups.delete(groupId);
+    } else {
+        collapsedGroups.add(groupId);
+    }
+
+    // Keep the toggled group on screen
+    const page = getPageOfRow(row => row.type === 'group' && row.group.id === groupId);
+    if (page !== null) {
+        state.pagination.currentPage = page;
+    }
+    renderTable();
+}
+
+function setAllGroupsCollapsed(collapsed) {
+    const { grouping } = state;
+    grouping.collapsedGroups.clear();
+    if (collapsed) {
+        getAllKeys(modifiedDataSource).forEach(key => {
+            getKeyGroupIds(key).forEach(id => grouping.collapsedGroups.add(id));
+        });
+    }
+
+    if (!grouping.enabled) {
+        return;
+    }
+    state.pagination.currentPage = 1;
+    renderTable();
+}
+
+/**
+ * Page of the first display row matching a predicate.
+ * @param {Function} predicate - Called with each row from getDisplayRows()
+ * @param {Array<Object>} [rows] - Display rows, computed if not given
+ * @returns {number|null} - 1-based page, or null if no row matches
+ */
+function getPageOfRow(predicate, rows) {
+    const rowIndex = (rows || getDisplayRows(getOrderedKeys(getVisibleData()))).findIndex(predicate);
+    return rowIndex === -1 ? null : Math.floor(rowIndex / state.pagination.rowsPerPage) + 1;
+}
+
+/**
+ * Page showing a key.
+ * @param {string} key - Translation key
+ * @param {Array<Object>} [rows] - Display rows, computed if not given
+ * @returns {number|null} - 1-based page, or null if the key is filtered out
+ *                          or inside a collapsed group
+ */
+function getPageOfKey(key, rows) {
+    return getPageOfRow(row => row.type === 'key' && row.key === key, rows);
+}
+
+/**
+ * Expand the collapsed groups a key is in.
+ * @param {string} key - Translation key
+ * @returns {boolean} - True if a group was expanded
+ */
+function expandGroupsOfKey(key) {
+    if (!state.grouping.enabled) {
+        return false;
+    }
+    let expanded = false;
+    getKeyGroupIds(key).forEach(id => {
+        if (state.grouping.collapsedGroups.delete(id)) {
+            expanded = true;
+        }
+    });
+    return expanded;
+}
+
+/**
+ * Make sure a key's row is rendered: switch to the page that contains it or,
+ * with virtual scrolling, scroll to it. Collapsed groups hiding it are
+ * expanded. The table is only re-rendered when the rows have to change.
+ * @param {string} key - Translation key
+ * @param {Array<string>} [orderedKeys] - Visible keys in render order, computed if not given
+ * @returns {boolean} - False if the key is filtered out
+ */
+function ensureKeyRendered(key, orderedKeys) {
+    const keys = orderedKeys || getOrderedKeys(getVisibleData());
+    if (!keys.includes(key)) {
+        return false;
+    }
+
+    const groupsExpanded = expandGroupsOfKey(key);
+    const page = getPageOfKey(key, getDisplayRows(keys));
+    if (page === null) {
+        return false;
+    }
+
+    if (groupsExpanded || (!state.virtualScroll.enabled && page !== state.pagination.currentPage)) {
+        state.pagination.currentPage = page;
+        renderTable();
+    }
+    if (state.virtualScroll.enabled) {
+        scrollToKey(key);
+    }
+    return true;
+}
+
+// ========================================
+// SEARCH FUNCTIONALITY
+// ========================================
+
+function handleSearchInput(e) {
+    const query = e.target.value;
+    
+    // Show/hide clear button
+    const clearBtn = document.getElementById('clear-search-btn');
+    clearBtn.style.display = query ? 'block' : 'none';
+    
+    // Debounce search
+    clearTimeout(state.searchDebounceTimer);
+    state.searchDebounceTimer = setTimeout(() => {
+        performSearch(query);
+    }, 300);
+}
+
+function handleClearSearch() {
+    const searchInput = document.getElementById('search-input');
+    searchInput.value = '';
+    document.getElementById('clear-search-btn').style.display = 'none';
+    performSearch('');
+}
+
+function performSearch(query) {
+    // Close modal if open when search is performed
+    if (state.currentEditContext) {
+        closeEditModal();
+    }
+
+    state.searchQuery = query;
+    state.isSearchActive = query.trim() !== '';
+    state.compiledSearch = state.isSearchActive ? compileSearchQuery(query, state.searchOptions) : null;
+    state.currentSearchMatch = -1;
+    updateSearchInputValidity();
+
+    // Reset pagination to page 1 when search changes
+    state.pagination.currentPage = 1;
+
+    renderTable();
+}
+
+function initializeSearchOptions() {
+    const options = state.searchOptions;
+
+    const regexCheckbox = document.getElementById('search-regex');
+    regexCheckbox.checked = options.regex;
+    regexCheckbox.addEventListener('change', (e) => {
+        options.regex = e.target.checked;
+        handleSearchOptionsChange();
+    });
+
+    const visibleTextCheckbox = document.getElementById('search-visible-text');
+    visibleTextCheckbox.checked = options.visibleTextOnly;
+    visibleTextCheckbox.addEventListener('change', (e) => {
+        options.visibleTextOnly = e.target.checked;
+        handleSearchOptionsChange();
+    });
+
+    const scopeSelect = document.getElementById('search-scope');
+    scopeSelect.value = options.scope;
+    scopeSelect.addEventListener('change', (e) => {
+        options.scope = e.target.value;
+        handleSearchOptionsChange();
+    });
+}
+
+function handleSearchOptionsChange() {
+    if (state.isSearchActive) {
+        performSearch(state.searchQuery);
+    }
+}
+
+/**
+ * Render one checkbox per language column for limiting the search. Only
+ * rebuilt when the columns change; checked languages that no longer exist
+ * are dropped from the options.
+ */
+function renderSearchLanguageOptions() {
+    const container = document.getElementById('search-languages');
+    const codes = modifiedDataSource.map(lang => lang.LanguageTwoLetter);
+    if (container.dataset.languages === codes.join(',')) {
+        return;
+    }
+    container.dataset.languages = codes.join(',');
+    container.innerHTML = '';
+
+    const options = state.searchOptions;
+    options.languages = options.languages.filter(code => codes.includes(code));
+
+    codes.forEach(code => {
+        const label = document.createElement('label');
+        label.className = 'toolbar-filter';
+        label.title = 'Search values in this language (none checked = all languages)';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = options.languages.includes(code);
+        checkbox.addEventListener('change', () => {
+            options.languages = checkbox.checked
+                ? options.languages.concat(code)
+                : options.languages.filter(language => language !== code);
+            handleSearchOptionsChange();
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(code.toUpperCase()));
+        container.appendChild(label);
+    });
+}
+
+function updateSearchInputValidity() {
+    const input = document.getElementById('search-input');
+    const error = state.compiledSearch && state.compiledSearch.error;
+    input.classList.toggle('search-input-invalid', Boolean(error));
+    input.title = error ? `Invalid search: ${error}` : '';
+}
+
+/**
+ * Convert a key pattern with * and ? wildcards into an anchored regex.
+ * @param {string} pattern - e.g. "status_*"
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    const source = pattern.split('').map(char => {
+        if (char === '*') {
+            return '.*';
+        }
+        if (char === '?') {
+            return '.';
+        }
+        return escapeRegExp(char);
+    }).join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compile a search query. Space-separated terms must all match (AND):
+ * - lang:hr,en   search values of these languages only (overrides the checkboxes)
+ * - key:status_* key must match; * and ? are wildcards (a regex in regex mode)
+ * - value:text   term matched against values only
+ * - "a phrase"   quoted term, may contain spaces
+ * - anything else is a term matched in the scope chosen in the options
+ * Terms are literal and case-insensitive unless regex mode is on.
+ * @param {string} query - Text from the search input
+ * @param {Object} options - state.searchOptions
+ * @returns {Object} - { terms: [{ regex, scope }], keyPatterns, languages (null = all), visibleTextOnly, error }
+ */
+function compileSearchQuery(query, options) {
+    const search = {
+        terms: [],
+        keyPatterns: [],
+        languages: options.languages.length > 0 ? options.languages.map(code => code.toLowerCase()) : null,
+        visibleTextOnly: options.visibleTextOnly,
+        error: null,
+        // Number of matches per cell value, filled in by updateSearchMatches()
+        matchCounts: new Map()
+    };
+
+    const toRegExp = text => new RegExp(options.regex ? text : escapeRegExp(text), 'i');
+    const unquote = text => (/^".*"$/.test(text) && text.length > 1 ? text.slice(1, -1).replace(/\\"/g, '"') : text);
+    const tokenPattern = /(lang|key|value):("(?:[^"\\]|\\.)*"|\S+)|"((?:[^"\\]|\\.)*)"|(\S+)/gi;
+
+    try {
+        let match;
+        while ((match = tokenPattern.exec(query)) !== null) {
+            const [, operator, operand, phrase, word] = match;
+
+            if (operator) {
+                const value = unquote(operand);
+                const name = operator.toLowerCase();
+                if (name === 'lang') {
+                    search.languages = value.split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+                } else if (name === 'key') {
+                    search.keyPatterns.push(options.regex ? new RegExp(value, 'i') : globToRegExp(value));
+                } else if (value) {
+                    search.terms.push({ regex: toRegExp(value), scope: 'value' });
+                }
+            } else {
+                const text = phrase !== undefined ? phrase.replace(/\\"/g, '"') : word;
+                if (text) {
+                    search.terms.push({ regex: toRegExp(text), scope: options.scope });
+                }
+            }
+        }
+    } catch (error) {
+        search.error = error.message;
+    }
+
+    return search;
+}
+
+/**
+ * Text of a value as it is searched.
+ * @param {string} value - Translation value (HTML)
+ * @param {Object} search - Result of compileSearchQuery()
+ * @returns {string}
+ */
+function getSearchableText(value, search) {
+    return search.visibleTextOnly ? getTextFromHTML(value) : value;
+}
+
+function isSearchedLanguage(lang, search) {
+    return !search.languages || search.languages.includes(lang.LanguageTwoLetter.toLowerCase());
+}
+
+/**
+ * Check whether a row matches a compiled search.
+ * @param {string} key - Translation key
+ * @param {Object} search - Result of compileSearchQuery()
+ * @returns {boolean}
+ */
+function matchesSearch(key, search) {
+    if (!search.keyPatterns.every(pattern => pattern.test(key))) {
+        return false;
+    }
+
+    // Searchable text of the key's cells, worked out once for all terms
+    let cellTexts = null;
+    const getCellTexts = () => {
+        if (!cellTexts) {
+            cellTexts = modifiedDataSource
+                .filter(lang => isSearchedLanguage(lang, search) && Object.prototype.hasOwnProperty.call(lang.Translations, key))
+                .map(lang => getSearchableText(lang.Translations[key], search));
+        }
+        return cellTexts;
+    };
+
+    return search.terms.every(term => {
+        if (term.scope !== 'value' && term.regex.test(key)) {
+            return true;
+        }
+        if (term.scope === 'key') {
+            return false;
+        }
+        return getCellTexts().some(text => term.regex.test(text));
+    });
+}
+
+function getSearchResults() {
+    const search = state.compiledSearch;
+
+    // Invalid query (e.g. a broken regex): show everything, the input is marked invalid
+    if (!search || search.error) {
+        return modifiedDataSource;
+    }
+
+    return filterDataByKeys(modifiedDataSource, key => matchesSearch(key, search));
+}
+
+// ========================================
+// SEARCH HIGHLIGHTING & MATCH NAVIGATION
+// ========================================
+
+/**
+ * Regexes of the search terms that apply to a kind of cell, with the global
+ * flag for finding every occurrence. Key patterns only filter and are not
+ * highlighted.
+ * @param {boolean} forKeyCell - True for the key column, false for values
+ * @returns {Array<RegExp>} - Empty when no search is active or it is invalid
+ */
+function getHighlightPatterns(forKeyCell) {
+    const search = state.compiledSearch;
+    if (!search || search.error) {
+        return [];
+    }
+    return search.terms
+        .filter(term => (forKeyCell ? term.scope !== 'value' : term.scope !== 'key'))
+        .map(term => new RegExp(term.regex.source, 'gi'));
+}
+
+/**
+ * Find the ranges matched by any pattern, merged where they overlap.
+ * @param {string} text - Plain text
+ * @param {Array<RegExp>} patterns - Global regexes
+ * @returns {Array<Object>} - Ranges as { start, end }, in order
+ */
+function findSearchMatchRanges(text, patterns) {
+    const ranges = [];
+    patterns.forEach(pattern => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0] === '') {
+                // Skip empty matches (e.g. "a*") without looping forever
+                pattern.lastIndex++;
+                continue;
+            }
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+    });
+
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ start: range.start, end: range.end });
+        }
+        return merged;
+    }, []);
+}
+
+function getSearchMatchCellId(key, langIndex) {
+    return `${langIndex}:${key}`;
+}
+
+/**
+ * Collect every match of the active search across all result rows (not just
+ * the current page), in the order they are rendered.
+ * @param {Array} data - Data being rendered, in the modifiedDataSource shape
+ */
+function updateSearchMatches(data) {
+    state.searchMatches = [];
+    state.searchMatchOffsets = new Map();
+
+    const countCellMatches = createSearchMatchCounter();
+    if (!countCellMatches) {
+        state.currentSearchMatch = -1;
+        return;
+    }
+
+    const addMatches = (key, langIndex, count) => {
+        if (count > 0) {
+            state.searchMatchOffsets.set(getSearchMatchCellId(key, langIndex), state.searchMatches.length);
+            for (let i = 0; i < count; i++) {
+                state.searchMatches.push({ key, langIndex });
+            }
+        }
+    };
+
+    getOrderedKeys(data).forEach(key => {
+        addMatches(key, -1, countCellMatches(key, -1));
+        modifiedDataSource.forEach((lang, langIndex) => addMatches(key, langIndex, countCellMatches(key, langIndex)));
+    });
+
+    if (state.currentSearchMatch >= state.searchMatches.length) {
+        state.currentSearchMatch = state.searchMatches.length - 1;
+    }
+}
+
+/**
+ * Counter of the active search's matches in one cell. Values are counted
+ * with the filter's rule (raw or visible text), once per search.
+ * @returns {Function|null} - (key, langIndex) => count, langIndex -1 for the
+ *                            key cell; null when no valid search is active
+ */
+function createSearchMatchCounter() {
+    const search = state.compiledSearch;
+    if (!state.isSearchActive || !search || search.error) {
+        return null;
+    }
+
+    const keyPatterns = getHighlightPatterns(true);
+    const valuePatterns = getHighlightPatterns(false);
+    const countMatches = (text, patterns) => (patterns.length > 0 ? findSearchMatchRanges(text, patterns).length : 0);
+
+    return (key, langIndex) => {
+        if (langIndex === -1) {
+            return countMatches(key, keyPatterns);
+        }
+        const lang = modifiedDataSource[langIndex];
+        if (!isSearchedLanguage(lang, search) || !Object.prototype.hasOwnProperty.call(lang.Translations, key)) {
+            return 0;
+        }
+        const value = lang.Translations[key];
+        if (!search.matchCounts.has(value)) {
+            search.matchCounts.set(value, countMatches(getSearchableText(value, search), valuePatterns));
+        }
+        return search.matchCounts.get(value);
+    };
+}
+
+/**
+ * Number of entries a cell has in state.searchMatches.
+ * @param {string} key - Row key
+ * @param {number} langIndex - Column, or -1 for the key cell
+ * @returns {number}
+ */
+function getCellSearchMatchCount(key, langIndex) {
+    const baseIndex = state.searchMatchOffsets.get(getSearchMatchCellId(key, langIndex));
+    if (baseIndex === undefined) {
+        return 0;
+    }
+
+    let count = 0;
+    while (baseIndex + count < state.searchMatches.length) {
+        const match = state.searchMatches[baseIndex + count];
+        if (match.key !== key || match.langIndex !== langIndex) {
+            break;
+        }
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Wrap the matches of the active search in <mark> elements. Works on the
+ * rendered text nodes, so the HTML structure of the value is never touched;
+ * a match spanning several elements gets one mark per text node.
+ * @param {HTMLElement} element - Rendered cell content
+ * @param {string} key - Row key
+ * @param {number} langIndex - Column, or -1 for the key cell
+ */
+function highlightCellSearchMatches(element, key, langIndex) {
+    const baseIndex = state.searchMatchOffsets.get(getSearchMatchCellId(key, langIndex));
+    if (baseIndex === undefined) {
+        return;
+    }
+
+    // Matches counted for this cell. The rendered text can have fewer (matches
+    // in markup) or more (sample values); extra marks share the last index.
+    const cellMatchCount = getCellSearchMatchCount(key, langIndex);
+
+    const textNodes = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let text = '';
+    while (walker.nextNode()) {
+        textNodes.push({ node: walker.currentNode, start: text.length });
+        text += walker.currentNode.nodeValue;
+    }
+
+    const ranges = findSearchMatchRanges(text, getHighlightPatterns(langIndex === -1));
+
+    textNodes.forEach(({ node, start }) => {
+        const end = start + node.nodeValue.length;
+        const overlapping = ranges
+            .map((range, index) => ({ range, index }))
+            .filter(({ range }) => range.start < end && range.end > start);
+        if (overlapping.length === 0) {
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        let position = start;
+        overlapping.forEach(({ range, index }) => {
+            const markStart = Math.max(range.start, start);
+            const markEnd = Math.min(range.end, end);
+            if (markStart > position) {
+                fragment.appendChild(document.createTextNode(text.slice(position, markStart)));
+            }
+            const mark = document.createElement('mark');
+            mark.className = 'search-match';
+            mark.dataset.matchIndex = baseIndex + Math.min(index, cellMatchCount - 1);
+            mark.textContent = text.slice(markStart, markEnd);
+            fragment.appendChild(mark);
+            position = markEnd;
+        });
+        if (position < end) {
+            fragment.appendChild(document.createTextNode(text.slice(position, end)));
+        }
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+function renderSearchMatchNavigation() {
+    const nav = document.getElementById('search-match-nav');
+    const search = state.compiledSearch;
+    if (!state.isSearchActive || !search || search.error) {
+        nav.style.display = 'none';
+        return;
+    }
+    nav.style.display = 'flex';
+
+    const total = state.searchMatches.length;
+    let label = 'No matches';
+    if (total > 0) {
+        label = state.currentSearchMatch === -1
+            ? `${total} match${total === 1 ? '' : 'es'}`
+            : `${state.currentSearchMatch + 1} of ${total}`;
+    }
+    document.getElementById('search-match-counter').textContent = label;
+    document.getElementById('search-prev-btn').disabled = total === 0;
+    document.getElementById('search-next-btn').disabled = total === 0;
+
+    markCurrentSearchMatch(false);
+}
+
+/**
+ * Select the next or previous match, wrapping around, and move to its page.
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function goToSearchMatch(direction) {
+    const total = state.searchMatches.length;
+    if (total === 0) {
+        return;
+    }
+
+    const current = state.currentSearchMatch;
+    state.currentSearchMatch = current === -1
+        ? (direction > 0 ? 0 : total - 1)
+        : (current + direction + total) % total;
+
+    ensureKeyRendered(state.searchMatches[state.currentSearchMatch].key);
+    renderSearchMatchNavigation();
+    markCurrentSearchMatch(true);
+}
+
+function markCurrentSearchMatch(scroll) {
+    const tbody = document.getElementById('table-body');
+    tbody.querySelectorAll('.search-match-current').forEach(element => element.classList.remove('search-match-current'));
+
+    if (state.currentSearchMatch === -1) {
+        return;
+    }
+    let marks = Array.from(tbody.querySelectorAll(`mark[data-match-index="${state.currentSearchMatch}"]`));
+
+    // A match in markup has no visible text to mark; the whole cell stands in for it
+    if (marks.length === 0) {
+        const { key, langIndex } = state.searchMatches[state.currentSearchMatch];
+        const row = findRowByKey(key);
+        const cell = langIndex === -1
+            ? row && row.querySelector('td.keys-cell')
+            : findValueCell(key, langIndex);
+        marks = cell ? [cell] : [];
+    }
+
+    marks.forEach(mark => mark.classList.add('search-match-current'));
+    if (scroll && marks.length > 0 && marks[0].scrollIntoView) {
+        marks[0].scrollIntoView({ block: 'center' });
+    }
+}
+
+function handleSearchInputKeydown(e) {
+    if (e.key !== 'Enter') {
+        return;
+    }
+    e.preventDefault();
+
+    // Run a pending debounced search first so Enter works right after typing
+    if (e.target.value !== state.searchQuery) {
+        clearTimeout(state.searchDebounceTimer);
+        performSearch(e.target.value);
+    }
+    goToSearchMatch(e.shiftKey ? -1 : 1);
+}
+
+// ========================================
+// KEYBOARD CELL NAVIGATION & INLINE EDITING
+// ========================================
+
+function initializeCellNavigation() {
+    const tbody = document.getElementById('table-body');
+    tbody.addEventListener('keydown', handleCellKeydown);
+
+    // Track the focused value cell, whether reached by keyboard or mouse
+    tbody.addEventListener('focusin', (e) => {
+        const cell = e.target.closest('td.value-cell');
+        if (cell) {
+            setActiveCell(cell.dataset.key, Number(cell.dataset.langIndex));
+        }
+    });
+}
+
+/**
+ * Make a value cell the keyboard focus target (roving tabindex).
+ * Only the active cell is reachable with Tab from outside the table.
+ */
+function setActiveCell(key, langIndex) {
+    state.activeCell = { key, langIndex };
+
+    const tbody = document.getElementById('table-body');
+    tbody.querySelectorAll('td.value-cell[tabindex="0"]').forEach(cell => { cell.tabIndex = -1; });
+    const cell = findValueCell(key, langIndex);
+    if (cell) {
+        cell.tabIndex = 0;
+    }
+}
+
+function findValueCell(key, langIndex) {
+    const row = findRowByKey(key);
+    return row ? row.querySelector(`td.value-cell[data-lang-index="${langIndex}"]`) : null;
+}
+
+function focusActiveCell() {
+    const { activeCell } = state;
+    const cell = activeCell && findValueCell(activeCell.key, activeCell.langIndex);
+    if (cell) {
+        cell.focus();
+        if (cell.scrollIntoView) {
+            cell.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+}
+
+function isDialogOpen() {
+    return Array.from(document.querySelectorAll('.edit-modal-overlay'))
+        .some(dialog => dialog.style.display === 'flex');
+}
+
+/**
+ * Restore the roving tabindex after a render. Focus was lost if the focused
+ * cell was re-rendered (e.g. after an inline commit); it is moved back to the
+ * active cell unless a dialog has it.
+ */
+function syncActiveCell() {
+    const { activeCell } = state;
+    const cell = activeCell && findValueCell(activeCell.key, activeCell.langIndex);
+    const target = cell || document.querySelector('#table-body td.value-cell');
+    if (target) {
+        target.tabIndex = 0;
+    }
+
+    // An editor removed by the render took its unsaved text with it
+    if (state.inlineEdit && !state.inlineEdit.input.isConnected) {
+        state.inlineEdit = null;
+    }
+
+    const focusLost = !document.activeElement || document.activeElement === document.body;
+    if (cell && focusLost && !isDialogOpen()) {
+        focusActiveCell();
+    }
+}
+
+/**
+ * Values that can be edited as plain text in the cell: no tags, character
+ * references or line breaks. Anything else opens the rich text modal.
+ */
+function isInlineEditableValue(value) {
+    return !value || (!htmlContainsTags(value) && !/&[#a-z0-9]+;/i.test(value) && !value.includes('\n'));
+}
+
+function handleCellKeydown(e) {
+    const cell = e.target.closest && e.target.closest('td.value-cell');
+    if (!cell || e.target !== cell || e.ctrlKey || e.metaKey || e.altKey) {
+        return;
+    }
+    const key = cell.dataset.key;
+    const langIndex = Number(cell.dataset.langIndex);
+
+    switch (e.key) {
+        case 'ArrowUp':
+            e.preventDefault();
+            moveActiveCell(key, langIndex, -1, 0);
+            break;
+        case 'ArrowDown':
+            e.preventDefault();
+            moveActiveCell(key, langIndex, 1, 0);
+            break;
+        case 'ArrowLeft':
+            e.preventDefault();
+            moveActiveCell(key, langIndex, 0, -1);
+            break;
+        case 'ArrowRight':
+            e.preventDefault();
+            moveActiveCell(key, langIndex, 0, 1);
+            break;
+        case 'Enter':
+        case 'F2':
+            e.preventDefault();
+            editCell(key, langIndex, modifiedDataSource[langIndex].Translations[key] || '');
+            break;
+    }
+}
+
+/**
+ * Edit a cell in place if its value is plain text, otherwise in the modal.
+ */
+function editCell(key, langIndex, currentValue) {
+    setActiveCell(key, langIndex);
+    if (isInlineEditableValue(currentValue)) {
+        startInlineEdit(key, langIndex);
+    } else {
+        openEditModal(key, langIndex, currentValue);
+    }
+}
+
+/**
+ * Move keyboard focus from a cell by rows and/or columns, crossing page
+ * boundaries. Group header rows are skipped; moving by column wraps to the
+ * neighbouring row, as Tab does in a spreadsheet.
+ * @param {string} key - Key of the current cell
+ * @param {number} langIndex - Column of the current cell
+ * @param {number} rowDelta - -1 up, 1 down
+ * @param {number} columnDelta - -1 left, 1 right
+ * @returns {boolean} - False if already at the edge of the table
+ */
+function moveActiveCell(key, langIndex, rowDelta, columnDelta) {
+    const columnCount = modifiedDataSource.length;
+    if (columnCount === 0) {
+        return false;
+    }
+
+    let column = langIndex + columnDelta;
+    let rowStep = rowDelta;
+    if (column < 0) {
+        column = columnCount - 1;
+        rowStep--;
+    } else if (column >= columnCount) {
+        column = 0;
+        rowStep++;
+    }
+
+    // The neighbour is usually rendered already: rendered key rows are a
+    // contiguous run of the display rows, so step through them
+    const renderedKeys = Array.from(document.getElementById('table-body').rows)
+        .filter(row => row.dataset.key !== undefined)
+        .map(row => row.dataset.key);
+    const renderedIndex = renderedKeys.indexOf(key);
+    let targetKey = renderedIndex === -1 ? undefined : renderedKeys[renderedIndex + rowStep];
+
+    if (targetKey !== undefined) {
+        if (state.virtualScroll.enabled) {
+            scrollToKey(targetKey);
+        }
+    } else {
+        // Off the page or the rendered window: find it in the full row list, computed once
+        const orderedKeys = getOrderedKeys(getVisibleData());
+        const keys = getDisplayRows(orderedKeys)
+            .filter(row => row.type === 'key')
+            .map(row => row.key);
+        const rowIndex = keys.indexOf(key);
+        if (rowIndex === -1 || rowIndex + rowStep < 0 || rowIndex + rowStep >= keys.length) {
+            return false;
+        }
+        targetKey = keys[rowIndex + rowStep];
+        state.activeCell = { key: targetKey, langIndex: column };
+        ensureKeyRendered(targetKey, orderedKeys);
+    }
+
+    state.activeCell = { key: targetKey, langIndex: column };
+    setActiveCell(targetKey, column);
+    focusActiveCell();
+    return true;
+}
+
+/**
+ * Replace a cell's content with a text input holding the raw value.
+ */
+function startInlineEdit(key, langIndex) {
+    const cell = findValueCell(key, langIndex);
+    if (!cell || state.inlineEdit) {
+        return;
+    }
+
+    const originalText = modifiedDataSource[langIndex].Translations[key] || '';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'inline-cell-editor';
+    input.value = originalText;
+    input.setAttribute('aria-label', `${key} (${modifiedDataSource[langIndex].LanguageTwoLetter.toUpperCase()})`);
+
+    state.inlineEdit = { key, langIndex, input, originalText };
+    cell.classList.add('inline-editing');
+    cell.innerHTML = '';
+    cell.appendChild(input);
+
+    input.addEventListener('keydown', handleInlineEditKeydown);
+    // Leaving the editor by clicking elsewhere keeps the typed value. The commit
+    // re-renders the table, so a clicked cell would never get its click event:
+    // it is edited from here instead.
+    input.addEventListener('blur', (e) => {
+        if (!state.inlineEdit || state.inlineEdit.input !== input) {
+            return;
+        }
+        const nextCell = e.relatedTarget && e.relatedTarget.closest('td.value-cell');
+        if (commitInlineEdit() && nextCell) {
+            const nextKey = nextCell.dataset.key;
+            const nextLangIndex = Number(nextCell.dataset.langIndex);
+            editCell(nextKey, nextLangIndex, modifiedDataSource[nextLangIndex].Translations[nextKey] || '');
+        }
+    });
+
+    input.focus();
+    input.select();
+}
+
+function handleInlineEditKeydown(e) {
+    // Keep the keys away from cell navigation and the history shortcuts
+    e.stopPropagation();
+
+    const { key, langIndex } = state.inlineEdit;
+    switch (e.key) {
+        case 'Enter':
+            e.preventDefault();
+            if (commitInlineEdit() && !moveActiveCell(key, langIndex, e.shiftKey ? -1 : 1, 0)) {
+                focusActiveCell();
+            }
+            break;
+        case 'Tab':
+            e.preventDefault();
+            if (commitInlineEdit() && !moveActiveCell(key, langIndex, 0, e.shiftKey ? -1 : 1)) {
+                focusActiveCell();
+            }
+            break;
+        case 'Escape':
+            e.preventDefault();
+            cancelInlineEdit();
+            focusActiveCell();
+            break;
+    }
+}
+
+/**
+ * Save the inline editor's text as one undoable edit. Typed markup is kept
+ * as text, so it is escaped when it would otherwise be read as HTML.
+ * @returns {boolean} - False if the placeholder check kept the editor open
+ */
+function commitInlineEdit() {
+    const { key, langIndex, input, originalText } = state.inlineEdit;
+    const text = input.value;
+
+    if (text === originalText) {
+        cancelInlineEdit();
+        return true;
+    }
+
+    const newValue = htmlContainsTags(text) || /&[#a-z0-9]+;/i.test(text) ? escapeHTML(text) : text;
+    const translations = modifiedDataSource[langIndex].Translations;
+    const previousValue = Object.prototype.hasOwnProperty.call(translations, key) ? translations[key] : null;
+
+    // Same warning (or block) as the modal; the editor stays open.
+    // Cleared first so the blur caused by the alert doesn't commit twice.
+    state.inlineEdit = null;
+    if (!confirmPlaceholderChanges(langIndex, key, newValue, previousValue)) {
+        state.inlineEdit = { key, langIndex, input, originalText };
+        input.focus();
+        return false;
+    }
+
+    setActiveCell(key, langIndex);
+    commitTranslationChanges(`Edit ${key}`, [{
+        language: modifiedDataSource[langIndex].LanguageTwoLetter,
+        key,
+        oldValue: previousValue,
+        newValue
+    }]);
+    return true;
+}
+
+/**
+ * Close the inline editor without saving, re-rendering only its cell.
+ */
+function cancelInlineEdit() {
+    const { key, langIndex, input } = state.inlineEdit;
+    state.inlineEdit = null;
+
+    const cell = input.closest('td.value-cell');
+    const row = findRowByKey(key);
+    if (cell && row) {
+        // The key cell comes first in a rendered row
+        const freshCell = renderKeyRow(key, 0).cells[langIndex + 1];
+        freshCell.tabIndex = 0;
+        cell.replaceWith(freshCell);
+    }
+    setActiveCell(key, langIndex);
+
+    // Scrolling was paused while the editor was open
+    if (state.virtualScroll.enabled) {
+        renderVirtualRows(false);
+    }
+}
+
+// ========================================
+// SORTING FUNCTIONALITY
+// ========================================
+
+function toggleColumnCollapse(columnIndex) {
+    if (state.collapsedColumns.has(columnIndex)) {
+        state.collapsedColumns.delete(columnIndex);
+    } else {
+        state.collapsedColumns.add(columnIndex);
+    }
+    renderTable();
+}
+
+// Ways to order a column; the status modes put matching cells first when ascending
+const SORT_MODES = {
+    text: 'A–Z',
+    length: 'Length',
+    modified: 'Modified first',
+    missing: 'Missing first'
+};
+
+/**
+ * Cycle a column's sort: none -> asc -> desc -> none. A plain click sorts by
+ * this column only; with additive (Shift-click) the other criteria are kept
+ * and a new column is added with the lowest priority.
+ * @param {string|number} column - 'key' or a modifiedDataSource index
+ * @param {boolean} [additive] - Keep the other sorted columns
+ */
+function cycleSortState(column, additive) {
+    const currentSort = state.sortState.find(sort => sort.column === column);
+
+    let nextSort = null;
+    if (!currentSort) {
+        nextSort = { column, direction: 'asc', mode: 'text' };
+    } else if (currentSort.direction === 'asc') {
+        nextSort = { ...currentSort, direction: 'desc' };
+    }
+
+    if (!additive) {
+        state.sortState = nextSort ? [nextSort] : [];
+    } else if (!currentSort) {
+        state.sortState = [...state.sortState, nextSort];
+    } else {
+        // Keep the column's priority while changing its direction
+        state.sortState = state.sortState
+            .map(sort => (sort === currentSort ? nextSort : sort))
+            .filter(Boolean);
+    }
+
+    renderTable();
+}
+
+function setSortMode(column, mode) {
+    // Ascending again, so "Modified first" and "Missing first" mean what they say
+    state.sortState = state.sortState.map(sort => (sort.column === column ? { ...sort, mode, direction: 'asc' } : sort));
+    renderTable();
+}
+
+/**
+ * Sort indicator for a column header: direction arrow, plus the priority
+ * number when several columns are sorted.
+ * @param {string|number} column - 'key' or a modifiedDataSource index
+ * @returns {HTMLElement}
+ */
+function renderSortIndicator(column) {
+    const sortIndex = state.sortState.findIndex(sort => sort.column === column);
+    const sort = state.sortState[sortIndex];
+
+    const sortIndicator = document.createElement('span');
+    sortIndicator.className = 'sort-indicator';
+    sortIndicator.title = 'Sort (Shift+click to add to the current sort)';
+    if (!sort) {
+        sortIndicator.textContent = '⇅';
+    } else {
+        sortIndicator.classList.add('sorted');
+        sortIndicator.textContent = sort.direction === 'asc' ? '▲' : '▼';
+        if (state.sortState.length > 1) {
+            const priority = document.createElement('span');
+            priority.className = 'sort-priority';
+            priority.textContent = sortIndex + 1;
+            sortIndicator.appendChild(priority);
+        }
+    }
+
+    sortIndicator.addEventListener('click', (e) => {
+        e.stopPropagation();
+        cycleSortState(column, e.shiftKey);
+    });
+
+    return sortIndicator;
+}
+
+/**
+ * Add the sort mode picker to a header while its column is sorted.
+ * @param {HTMLElement} header - Column header cell
+ * @param {string|number} column - 'key' or a modifiedDataSource index
+ */
+function appendSortModeSelect(header, column) {
+    const sort = state.sortState.find(criterion => criterion.column === column);
+    if (!sort) {
+        return;
+    }
+
+    const select = document.createElement('select');
+    select.className = 'sort-mode-select';
+    select.title = 'Sort by';
+    Object.entries(SORT_MODES).forEach(([mode, label]) => {
+        select.appendChild(new Option(label, mode, false, mode === sort.mode));
+    });
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', () => setSortMode(column, select.value));
+
+    header.appendChild(select);
+}
+
+// ========================================
+// CHANGE TRACKING
+// ========================================
+
+/**
+ * Find the original Translations map for a modifiedDataSource column.
+ * Columns are matched by LanguageTwoLetter rather than by index.
+ * @param {number} langIndex - Index into modifiedDataSource
+ * @returns {Object|null} - The original Translations, or null if the language is new
+ */
+function getOriginalTranslations(langIndex) {
+    const lang = modifiedDataSource[langIndex];
+    if (!lang || typeof originalDataSource === 'undefined') {
+        return null;
+    }
+    const originalLang = originalDataSource.find(l => l.LanguageTwoLetter === lang.LanguageTwoLetter);
+    return originalLang ? originalLang.Translations : null;
+}
+
+/**
+ * Check whether a single cell differs from originalDataSource,
+ * including keys that were added or removed.
+ * @param {number} langIndex - Index into modifiedDataSource
+ * @param {string} key - Translation key
+ * @returns {boolean} - True if the cell was modified
+ */
+function isCellModified(langIndex, key) {
+    const translations = modifiedDataSource[langIndex].Translations;
+    const originalTranslations = getOriginalTranslations(langIndex);
+    const hasValue = Object.prototype.hasOwnProperty.call(translations, key);
+
+    if (!originalTranslations) {
+        return hasValue;
+    }
+
+    const hadValue = Object.prototype.hasOwnProperty.call(originalTranslations, key);
+    if (hasValue !== hadValue) {
+        return true;
+    }
+    return hasValue && translations[key] !== originalTranslations[key];
+}
+
+function isRowModified(key) {
+    return modifiedDataSource.some((lang, langIndex) => isCellModified(langIndex, key));
+}
+
+function getModifiedCellTooltip(langIndex, key) {
+    const originalTranslations = getOriginalTranslations(langIndex);
+    if (!originalTranslations || !Object.prototype.hasOwnProperty.call(originalTranslations, key)) {
+        return 'Modified. Original: (not present)';
+    }
+
+    const originalText = getTextFromHTML(originalTranslations[key]).trim();
+    return `Modified. Original: ${originalText || '(empty)'}`;
+}
+
+/**
+ * Recompute state.hasUnsavedChanges from the actual data instead of
+ * assuming any save is a change.
+ */
+function refreshUnsavedChanges() {
+    // Language-level entries make an added (still empty) column count as a change
+    state.hasUnsavedChanges = computeTranslationChanges(originalDataSource, modifiedDataSource).length > 0;
+}
+
+/**
+ * Called after modifiedDataSource was changed in place: refresh the unsaved
+ * flag (saving a value back to its original clears it) and re-render.
+ * @param {Array<Object>} [changes] - The value changes made, as
+ *        { language, key, oldValue, newValue }; when they leave the rows on
+ *        screen in place only the changed rows are re-rendered
+ */
+function handleDataChanged(changes) {
+    refreshUnsavedChanges();
+    updateUI();
+    scheduleDraftSave();
+
+    if (!changes || !patchRenderedRows(changes)) {
+        renderTable();
+    }
+}
+
+/**
+ * Re-render only the rows of changed keys. Decided from the changes alone:
+ * the table is re-rendered instead when one could change which rows are
+ * shown (search, filters), their order (sorting), the group headers or the
+ * completeness in the header (a cell added or removed), or the numbering of
+ * search matches.
+ * @param {Array<Object>} changes - { language, key, oldValue, newValue }, null for an absent key
+ * @returns {boolean} - True if the rows were patched
+ */
+function patchRenderedRows(changes) {
+    if (changes.some(change => change.oldValue === null || change.newValue === null)) {
+        return false;
+    }
+    // Groups are ordered by their modified rows under this sort
+    const keySort = state.sortState.find(sort => sort.column === 'key');
+    if (state.grouping.enabled && keySort && keySort.mode === 'modified') {
+        return false;
+    }
+
+    const search = state.isSearchActive && state.compiledSearch && !state.compiledSearch.error ? state.compiledSearch : null;
+    const countCellMatches = createSearchMatchCounter();
+    const changedKeys = new Set(changes.map(change => change.key));
+
+    for (const key of changedKeys) {
+        const index = state.renderedKeyIndex.get(key);
+        if (index === undefined || !findRowByKey(key)) {
+            return false;
+        }
+
+        // The row passed the search and filters when it was rendered; the
+        // missing filter depends on cells being present, which is unchanged
+        if ((search && !matchesSearch(key, search)) || (state.showModifiedOnly && !isRowModified(key))) {
+            return false;
+        }
+
+        if (!isSortPositionKept(index)) {
+            return false;
+        }
+
+        if (countCellMatches && modifiedDataSource.some((lang, langIndex) =>
+            countCellMatches(key, langIndex) !== getCellSearchMatchCount(key, langIndex))) {
+            return false;
+        }
+    }
+
+    changedKeys.forEach(key => {
+        const row = findRowByKey(key);
+        const depth = parseInt(row.style.getPropertyValue('--group-depth'), 10) || 0;
+        row.replaceWith(renderKeyRow(key, depth));
+    });
+
+    syncActiveCell();
+    markCurrentSearchMatch(false);
+    return true;
+}
+
+/**
+ * Check that a key of the last render still sorts strictly between its
+ * neighbours. A tie counts as moved: ties keep the unsorted key order, which
+ * can differ from the rendered one.
+ * @param {number} index - Index of the key in state.renderedKeys
+ * @returns {boolean}
+ */
+function isSortPositionKept(index) {
+    if (state.sortState.length === 0) {
+        return true;
+    }
+
+    const compareKeys = (keyA, keyB) => {
+        for (const sort of state.sortState) {
+            const factor = sort.direction === 'asc' ? 1 : -1;
+            const valueA = getSortValue(keyA, sort);
+            const valueB = getSortValue(keyB, sort);
+            if (valueA < valueB) return -factor;
+            if (valueA > valueB) return factor;
+        }
+        return 0;
+    };
+
+    const keys = state.renderedKeys;
+    return (index === 0 || compareKeys(keys[index - 1], keys[index]) < 0) &&
+        (index === keys.length - 1 || compareKeys(keys[index], keys[index + 1]) < 0);
+}
+
+function handleShowModifiedOnlyChange(e) {
+    // Close modal if open
+    if (state.currentEditContext) {
+        closeEditModal();
+    }
+
+    state.showModifiedOnly = e.target.checked;
+    state.pagination.currentPage = 1;
+    renderTable();
+}
+
+// ========================================
+// COMPLETENESS (MISSING TRANSLATIONS)
+// ========================================
+
+function isRowMissing(key) {
+    return modifiedDataSource.some(lang => !Object.prototype.hasOwnProperty.call(lang.Translations, key));
+}
+
+/**
+ * Measure how complete a language column is against all keys of all languages.
+ * Only missing keys count against completeness; empty values are treated as
+ * intentional but reported separately.
+ * @param {number} langIndex - Index into modifiedDataSource
+ * @returns {Object} - { percent, presentCount, totalCount, missingKeys, emptyKeys }
+ */
+function getLanguageCompleteness(langIndex) {
+    const allKeys = getAllKeys(modifiedDataSource);
+    const translations = modifiedDataSource[langIndex].Translations;
+
+    const missingKeys = [];
+    const emptyKeys = [];
+    allKeys.forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(translations, key)) {
+            missingKeys.push(key);
+        } else if (translations[key].trim() === '') {
+            emptyKeys.push(key);
+        }
+    });
+
+    const totalCount = allKeys.length;
+    const presentCount = totalCount - missingKeys.length;
+    // Floor so a column is only shown as 100% when nothing is missing
+    const percent = totalCount === 0 ? 100 : Math.floor((presentCount / totalCount) * 100);
+
+    return { percent, presentCount, totalCount, missingKeys: missingKeys.sort(), emptyKeys: emptyKeys.sort() };
+}
+
+function handleShowMissingOnlyChange(e) {
+    // Close modal if open
+    if (state.currentEditContext) {
+        closeEditModal();
+    }
+
+    state.showMissingOnly = e.target.checked;
+    state.pagination.currentPage = 1;
+    renderTable();
+}
+
+/**
+ * Open the completeness summary: per language, the keys that keep it
+ * from being 100% translated. Clicking a key reveals its row.
+ */
+function openCompletenessSummary() {
+    if (state.currentEditContext) {
+        return;
+    }
+
+    const container = document.getElementById('completeness-summary');
+    container.innerHTML = '';
+
+    modifiedDataSource.forEach((lang, langIndex) => {
+        const completeness = getLanguageCompleteness(langIndex);
+
+        const section = document.createElement('section');
+        section.className = 'completeness-section';
+
+        const heading = document.createElement('h4');
+        heading.className = 'completeness-heading';
+        heading.textContent = `${lang.LanguageTwoLetter.toUpperCase()} - ${completeness.percent}% ` +
+            `(${completeness.presentCount} of ${completeness.totalCount})`;
+        section.appendChild(heading);
+
+        if (completeness.missingKeys.length === 0) {
+            const done = document.createElement('p');
+            done.className = 'completeness-note';
+            done.textContent = 'No missing keys.';
+            section.appendChild(done);
+        } else {
+            section.appendChild(renderCompletenessKeyList('Missing', completeness.missingKeys));
+        }
+
+        if (completeness.emptyKeys.length > 0) {
+            section.appendChild(renderCompletenessKeyList('Empty (not counted as missing)', completeness.emptyKeys));
+        }
+
+        container.appendChild(section);
+    });
+
+    openDialog('completeness-modal');
+}
+
+function renderCompletenessKeyList(label, keys) {
+    const wrapper = document.createElement('div');
+
+    const caption = document.createElement('div');
+    caption.className = 'completeness-note';
+    caption.textContent = `${label} (${keys.length}):`;
+    wrapper.appendChild(caption);
+
+    const list = document.createElement('ul');
+    list.className = 'completeness-key-list';
+    keys.forEach(key => {
+        const item = document.createElement('li');
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'completeness-key-link';
+        link.textContent = key;
+        link.addEventListener('click', () => {
+            closeDialog('completeness-modal');
+            revealKey(key);
+        });
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    wrapper.appendChild(list);
+
+    return wrapper;
+}
+
+// ========================================
+// HTML SANITIZATION
+// ========================================
+
+// Tags removed together with their content
+const SANITIZER_DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form',
+    'input', 'button', 'textarea', 'select', 'option', 'link', 'meta', 'base', 'svg', 'math',
+    'template', 'noscript'
+]);
+
+// Tags kept as-is; any other tag is unwrapped (its children are kept)
+const SANITIZER_ALLOWED_TAGS = new Set([
+    'p', 'div', 'span', 'a', 'em', 'strong', 'b', 'i', 'u', 's', 'strike', 'del', 'ins', 'br', 'hr',
+    'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+    'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure', 'figcaption',
+    'address', 'details', 'summary', 'mark', 'abbr', 'cite', 'time', 'small', 'sub', 'sup',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'caption', 'colgroup', 'col', 'img', 'font', 'center'
+]);
+
+// Attributes allowed on every tag, in addition to data-*
+const SANITIZER_GLOBAL_ATTRS = new Set(['id', 'class', 'style', 'title', 'dir', 'lang', 'align']);
+
+// Extra attributes allowed per tag
+const SANITIZER_TAG_ATTRS = {
+    a: ['href', 'target', 'rel', 'name'],
+    img: ['src', 'alt', 'width', 'height', 'border'],
+    table: ['border', 'cellpadding', 'cellspacing', 'width', 'bgcolor'],
+    td: ['colspan', 'rowspan', 'valign', 'width', 'height', 'bgcolor'],
+    th: ['colspan', 'rowspan', 'valign', 'width', 'height', 'bgcolor'],
+    tr: ['valign', 'bgcolor'],
+    col: ['span', 'width'],
+    colgroup: ['span', 'width'],
+    ol: ['start', 'type'],
+    li: ['value'],
+    time: ['datetime'],
+    font: ['color', 'face', 'size']
+};
+
+const SANITIZER_URL_ATTRS = new Set(['href', 'src']);
+
+// Cache of sanitized values, cleared when it grows past the limit
+// (sized like textContentCache; search re-sanitizes every value it matches)
+const sanitizeCache = new Map();
+const SANITIZE_CACHE_LIMIT = 100000;
+
+/**
+ * Check whether a URL attribute value uses a safe scheme.
+ * Relative URLs, anchors, http(s), mailto and tel are allowed; data: only for images.
+ * @param {string} value - Attribute value
+ * @param {string} tagName - Lowercase tag name
+ * @returns {boolean}
+ */
+function isSafeURL(value, tagName) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const normalized = value.replace(/[\u0000-\u0020]/g, '').toLowerCase();
+    const schemeMatch = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+    if (!schemeMatch) {
+        return true;
+    }
+    const scheme = schemeMatch[1];
+    if (['http', 'https', 'mailto', 'tel'].includes(scheme)) {
+        return true;
+    }
+    return scheme === 'data' && tagName === 'img' && /^data:image\/(png|gif|jpe?g|webp);/.test(normalized);
+}
+
+/**
+ * Remove dangerous declarations from an inline style, keeping the rest
+ * (e.g. text-transform, color, margin).
+ * @param {string} style - Inline style attribute value
+ * @param {Array<string>} removed - Receives descriptions of removed declarations
+ * @returns {string} - Cleaned style
+ */
+function sanitizeStyle(style, removed) {
+    return style.split(';').filter(declaration => {
+        const normalized = declaration.replace(/\s+/g, '').toLowerCase();
+        const isDangerous = /expression\(|javascript:|vbscript:|-moz-binding|behavior:|url\((?!['"]?https?:)/.test(normalized);
+        if (isDangerous) {
+            removed.push(`style "${declaration.trim()}"`);
+        }
+        return !isDangerous;
+    }).join(';');
+}
+
+/**
+ * Sanitize an HTML value with an allowlist of tags and attributes.
+ * Keeps the structure translations rely on: data-* attributes (data-block-id),
+ * classes (ql-link) and safe inline styles (text-transform).
+ *
+ * @param {string} html - Translation value
+ * @returns {Object} - { html, removed } where html is always the re-serialized
+ *                     sanitized markup and removed lists what was stripped
+ */
+function sanitizeHTML(html) {
+    // Plain text cannot carry markup
+    if (!html || html.indexOf('<') === -1) {
+        return { html: html || '', removed: [] };
+    }
+
+    if (sanitizeCache.has(html)) {
+        return sanitizeCache.get(html);
+    }
+
+    // Parse in a template, which is inert and keeps every element in place.
+    // A document would move leading <style>, <meta>, <base> or <script> into
+    // its <head>, out of reach of a walk over the body.
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const removed = [];
+
+    function sanitizeElement(element) {
+        const tagName = element.tagName.toLowerCase();
+
+        if (SANITIZER_DROPPED_TAGS.has(tagName)) {
+            removed.push(`<${tagName}> element`);
+            element.remove();
+            return;
+        }
+
+        // Sanitize children first; the list is copied because children may be removed
+        Array.from(element.children).forEach(sanitizeElement);
+
+        if (!SANITIZER_ALLOWED_TAGS.has(tagName)) {
+            removed.push(`<${tagName}> tag`);
+            element.replaceWith(...element.childNodes);
+            return;
+        }
+
+        const tagAttrs = SANITIZER_TAG_ATTRS[tagName] || [];
+        Array.from(element.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            const isAllowed = SANITIZER_GLOBAL_ATTRS.has(name) || name.startsWith('data-') || tagAttrs.includes(name);
+
+            if (!isAllowed) {
+                removed.push(`${name} on <${tagName}>`);
+                element.removeAttribute(attr.name);
+            } else if (SANITIZER_URL_ATTRS.has(name) && !isSafeURL(attr.value, tagName)) {
+                removed.push(`unsafe ${name} on <${tagName}>`);
+                element.removeAttribute(attr.name);
+            } else if (name === 'style') {
+                const cleaned = sanitizeStyle(attr.value, removed);
+                if (cleaned !== attr.value) {
+                    element.setAttribute('style', cleaned);
+                }
+            }
+        });
+    }
+
+    Array.from(template.content.children).forEach(sanitizeElement);
+
+    const result = {
+        html: template.innerHTML,
+        removed: Array.from(new Set(removed))
+    };
+
+    if (sanitizeCache.size >= SANITIZE_CACHE_LIMIT) {
+        sanitizeCache.clear();
+    }
+    sanitizeCache.set(html, result);
+
+    return result;
+}
+
+// ========================================
+// PLACEHOLDER VALIDATION
+// ========================================
+
+/**
+ * Extract placeholder tokens from a translation value, using the configured
+ * syntaxes. HTML entities are decoded first so `{data.Amount.ToString(&quot;N2&quot;)}`
+ * in an HTML value matches `{data.Amount.ToString("N2")}` in a plain-text one.
+ * @param {string} value - Translation value (plain text or HTML)
+ * @returns {Array<string>} - Sorted list of tokens, duplicates kept
+ */
+function extractPlaceholders(value) {
+    if (!value || value.indexOf('{') === -1) {
+        return [];
+    }
+
+    const text = decodeHTMLEntities(value);
+    const regex = new RegExp(state.placeholderValidation.syntaxes.join('|'), 'g');
+    return (text.match(regex) || []).sort();
+}
+
+/**
+ * Compare two placeholder lists as multisets.
+ * @param {Array<string>} expected - Tokens that should be present
+ * @param {Array<string>} actual - Tokens that are present
+ * @returns {Object} - { missing, extra } token lists
+ */
+function comparePlaceholders(expected, actual) {
+    const remaining = actual.slice();
+    const missing = [];
+
+    expected.forEach(token => {
+        const index = remaining.indexOf(token);
+        if (index === -1) {
+            missing.push(token);
+        } else {
+            remaining.splice(index, 1);
+        }
+    });
+
+    return { missing, extra: remaining };
+}
+
+function describePlaceholderDifference(difference) {
+    const parts = [];
+    if (difference.missing.length > 0) {
+        parts.push(`missing ${difference.missing.join(', ')}`);
+    }
+    if (difference.extra.length > 0) {
+        parts.push(`unexpected ${difference.extra.join(', ')}`);
+    }
+    return parts.join('; ');
+}
+
+function getPlaceholderReferenceIndex() {
+    const { referenceLanguage } = state.placeholderValidation;
+    const index = referenceLanguage ? findLanguageIndex(referenceLanguage) : 0;
+    return index === -1 ? 0 : index;
+}
+
+/**
+ * Check a cell's placeholders against the reference language.
+ * Missing and empty cells, and keys missing from the reference, are skipped.
+ * @param {number} langIndex - Index into modifiedDataSource
+ * @param {string} key - Translation key
+ * @returns {string|null} - Description of the mismatch, or null if consistent
+ */
+function getCellPlaceholderIssue(langIndex, key) {
+    const referenceIndex = getPlaceholderReferenceIndex();
+    if (langIndex === referenceIndex) {
+        return null;
+    }
+
+    const value = modifiedDataSource[langIndex].Translations[key];
+    const referenceValue = modifiedDataSource[referenceIndex].Translations[key];
+    if (!value || !value.trim() || referenceValue === undefined) {
+        return null;
+    }
+
+    const difference = comparePlaceholders(extractPlaceholders(referenceValue), extractPlaceholders(value));
+    if (difference.missing.length === 0 && difference.extra.length === 0) {
+        return null;
+    }
+
+    const referenceCode = modifiedDataSource[referenceIndex].LanguageTwoLetter.toUpperCase();
+    return `Placeholders differ from ${referenceCode}: ${describePlaceholderDifference(difference)}`;
+}
+
+/**
+ * Check an edit from the modal for added or removed placeholders.
+ * The new value is compared with the previous value, or with the reference
+ * language when the cell was missing or empty.
+ * @returns {boolean} - True if the save may proceed
+ */
+function confirmPlaceholderChanges(langIndex, key, newValue, previousValue) {
+    let baseline = previousValue;
+    let baselineLabel = 'the previous value';
+
+    if (!baseline || !baseline.trim()) {
+        const referenceIndex = getPlaceholderReferenceIndex();
+        baseline = referenceIndex === langIndex ? null : modifiedDataSource[referenceIndex].Translations[key];
+        baselineLabel = `the ${modifiedDataSource[referenceIndex].LanguageTwoLetter.toUpperCase()} value`;
+    }
+
+    if (!baseline || !newValue.trim()) {
+        return true;
+    }
+
+    const difference = comparePlaceholders(extractPlaceholders(baseline), extractPlaceholders(newValue));
+    if (difference.missing.length === 0 && difference.extra.length === 0) {
+        return true;
+    }
+
+    const message = `Placeholders differ from ${baselineLabel}: ${describePlaceholderDifference(difference)}.`;
+    if (state.placeholderValidation.onSaveMismatch === 'block') {
+        alert(`${message}\nFix the placeholders before saving.`);
+        return false;
+    }
+    return confirm(`${message}\nSave anyway?`);
+}
+
+// ========================================
+// KEY MANAGEMENT (ADD / RENAME / DELETE)
+// ========================================
+
+// Letters, digits, underscore, dot and hyphen, e.g. label_transactions_fund_buy
+const KEY_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Validate a translation key name.
+ * @param {string} name - Proposed key name
+ * @param {string} [currentKey] - Key being renamed, excluded from the duplicate check
+ * @returns {string|null} - Error message, or null if the name is valid
+ */
+function validateKeyName(name, currentKey) {
+    if (!name) {
+        return 'Key name is required.';
+    }
+    if (!KEY_NAME_PATTERN.test(name)) {
+        return 'Key names may only contain letters, digits, "_", "." and "-".';
+    }
+    if (name !== currentKey && getAllKeys(modifiedDataSource).includes(name)) {
+        return `Key "${name}" already exists.`;
+    }
+    return null;
+}
+
+function renderAddKeyRow() {
+    const row = document.createElement('tr');
+    row.className = 'add-key-row';
+
+    const keyCell = document.createElement('td');
+    keyCell.className = 'keys-cell';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'key-name-input';
+    input.placeholder = 'new_key_name';
+    input.setAttribute('aria-label', 'New key name');
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'add-key-btn';
+    addBtn.textContent = 'Add key';
+
+    const submit = () => {
+        const name = input.value.trim();
+        const error = validateKeyName(name);
+        input.setCustomValidity(error || '');
+        if (error) {
+            input.reportValidity();
+            return;
+        }
+        addKey(name);
+    };
+
+    addBtn.addEventListener('click', submit);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            submit();
+        }
+    });
+    input.addEventListener('input', () => input.setCustomValidity(''));
+
+    keyCell.appendChild(input);
+    keyCell.appendChild(addBtn);
+    row.appendChild(keyCell);
+
+    const hintCell = document.createElement('td');
+    hintCell.className = 'add-key-hint';
+    hintCell.colSpan = getTableColumnCount() - 1;
+    hintCell.textContent = 'Creates the key with an empty value in every language.';
+    row.appendChild(hintCell);
+
+    return row;
+}
+
+function renderKeyCell(key) {
+    const keyCell = document.createElement('td');
+    keyCell.className = 'keys-cell';
+
+    const keyName = document.createElement('span');
+    keyName.className = 'key-name';
+    keyName.textContent = key;
+    keyName.title = 'Double-click to rename';
+    keyCell.appendChild(keyName);
+
+    const actions = document.createElement('span');
+    actions.className = 'key-actions';
+
+    const renameBtn = document.createElement('button');
+    renameBtn.type = 'button';
+    renameBtn.className = 'key-action-btn';
+    renameBtn.textContent = '✎';
+    renameBtn.title = 'Rename key';
+    renameBtn.dataset.action = 'rename-key';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'key-action-btn key-delete-btn';
+    deleteBtn.textContent = '🗑';
+    deleteBtn.title = 'Delete key';
+    deleteBtn.dataset.action = 'delete-key';
+
+    actions.appendChild(renameBtn);
+    actions.appendChild(deleteBtn);
+    keyCell.appendChild(actions);
+
+    return keyCell;
+}
+
+/**
+ * Replace the key cell content with an input. Enter or blur commits,
+ * Escape cancels.
+ * @param {HTMLTableCellElement} keyCell
+ * @param {string} key - Key being renamed
+ */
+function startKeyRename(keyCell, key) {
+    if (state.currentEditContext || keyCell.querySelector('input')) {
+        return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'key-name-input';
+    input.value = key;
+    input.setAttribute('aria-label', `Rename ${key}`);
+
+    let finished = false;
+    const finish = (commit) => {
+        if (finished) {
+            return;
+        }
+
+        const name = input.value.trim();
+        if (commit && name !== key) {
+            const error = validateKeyName(name, key);
+            if (error) {
+                input.setCustomValidity(error);
+                input.reportValidity();
+                return;
+            }
+        }
+
+        finished = true;
+        if (commit && name !== key) {
+            renameKey(key, name);
+        } else {
+            renderTable();
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            finish(true);
+        } else if (e.key === 'Escape') {
+            // Keep Escape from reaching the global handlers
+            e.stopPropagation();
+            finish(false);
+        }
+    });
+    input.addEventListener('input', () => input.setCustomValidity(''));
+    input.addEventListener('blur', () => finish(true));
+
+    keyCell.innerHTML = '';
+    keyCell.appendChild(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Create a key with an empty value in every language, as one undoable step.
+ * @param {string} key - Validated key name
+ */
+function addKey(key) {
+    commitTranslationChanges(`Add key ${key}`, modifiedDataSource.map(lang => ({
+        language: lang.LanguageTwoLetter,
+        key,
+        oldValue: null,
+        newValue: ''
+    })));
+    revealKey(key);
+}
+
+/**
+ * Rename a key in every language that has it, as one undoable step.
+ * @param {string} oldKey - Existing key
+ * @param {string} newKey - Validated new key name
+ */
+function renameKey(oldKey, newKey) {
+    const changes = [];
+
+    modifiedDataSource.forEach(lang => {
+        if (!Object.prototype.hasOwnProperty.call(lang.Translations, oldKey)) {
+            return;
+        }
+        const value = lang.Translations[oldKey];
+        changes.push({ language: lang.LanguageTwoLetter, key: newKey, oldValue: null, newValue: value });
+        changes.push({ language: lang.LanguageTwoLetter, key: oldKey, oldValue: value, newValue: null });
+    });
+
+    commitTranslationChanges(`Rename ${oldKey} to ${newKey}`, changes);
+    revealKey(newKey);
+}
+
+/**
+ * Delete a key from every language after confirmation, as one undoable step.
+ * @param {string} key - Key to delete
+ */
+function deleteKey(key) {
+    const changes = modifiedDataSource
+        .filter(lang => Object.prototype.hasOwnProperty.call(lang.Translations, key))
+        .map(lang => ({
+            language: lang.LanguageTwoLetter,
+            key,
+            oldValue: lang.Translations[key],
+            newValue: null
+        }));
+
+    if (!confirm(`Delete key "${key}" from all ${changes.length} language(s)?`)) {
+        return;
+    }
+
+    commitTranslationChanges(`Delete key ${key}`, changes);
+}
+
+// ========================================
+// LANGUAGE COLUMNS (ADD / REMOVE)
+// ========================================
+
+// BCP 47 subset: ISO 639-1/-2 language, optional ISO 15924 script and region,
+// e.g. "de", "pt-BR", "sr-Latn", "es-419"
+const LANGUAGE_CODE_PATTERN = /^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}|[0-9]{3}))?$/i;
+
+/**
+ * Normalize a language code to its canonical BCP 47 casing (language lower,
+ * script title case, region upper).
+ * @param {string} code - Language code as typed
+ * @returns {string|null} - Normalized code, or null if it is not a valid code
+ */
+function normalizeLanguageCode(code) {
+    const match = LANGUAGE_CODE_PATTERN.exec((code || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, language, script, region] = match;
+    let normalized = language.toLowerCase();
+    if (script) {
+        normalized += '-' + script.charAt(0).toUpperCase() + script.slice(1).toLowerCase();
+    }
+    if (region) {
+        normalized += '-' + region.toUpperCase();
+    }
+    return normalized;
+}
+
+/**
+ * Validate a language code for a new column.
+ * @param {string} code - Language code as typed
+ * @returns {string|null} - Error message, or null if the code is valid
+ */
+function validateLanguageCode(code) {
+    if (!code || !code.trim()) {
+        return 'Language code is required.';
+    }
+    const normalized = normalizeLanguageCode(code);
+    if (!normalized) {
+        return 'Use an ISO 639-1 code such as "de", or a BCP 47 tag such as "pt-BR".';
+    }
+    const exists = modifiedDataSource.some(lang => lang.LanguageTwoLetter.toLowerCase() === normalized.toLowerCase());
+    if (exists) {
+        return `Language "${normalized}" already exists.`;
+    }
+    return null;
+}
+
+function initializeAddLanguageDialog() {
+    document.getElementById('add-language-confirm-btn').addEventListener('click', handleAddLanguageConfirm);
+    document.getElementById('add-language-cancel-btn').addEventListener('click', () => closeDialog('add-language-modal'));
+    document.getElementById('add-language-close-btn').addEventListener('click', () => closeDialog('add-language-modal'));
+
+    const codeInput = document.getElementById('add-language-code');
+    codeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            handleAddLanguageConfirm();
+        }
+    });
+    codeInput.addEventListener('input', () => {
+        document.getElementById('add-language-error').textContent = '';
+    });
+}
+
+function openAddLanguageDialog() {
+    // Don't open while editing
+    if (state.currentEditContext) {
+        return;
+    }
+
+    const codeInput = document.getElementById('add-language-code');
+    codeInput.value = '';
+    document.getElementById('add-language-error').textContent = '';
+
+    // Seed options: empty, or a copy of any existing language
+    const seedSelect = document.getElementById('add-language-seed');
+    seedSelect.innerHTML = '';
+    seedSelect.appendChild(new Option('Empty (all keys missing)', ''));
+    modifiedDataSource.forEach(lang => {
+        seedSelect.appendChild(new Option(`Copy of ${lang.LanguageTwoLetter.toUpperCase()}`, lang.LanguageTwoLetter));
+    });
+
+    openDialog('add-language-modal');
+    codeInput.focus();
+}
+
+function handleAddLanguageConfirm() {
+    const code = document.getElementById('add-language-code').value;
+    const error = validateLanguageCode(code);
+    if (error) {
+        document.getElementById('add-language-error').textContent = error;
+        return;
+    }
+
+    const seedLanguage = document.getElementById('add-language-seed').value;
+    closeDialog('add-language-modal');
+    addLanguage(normalizeLanguageCode(code), seedLanguage || null);
+}
+
+/**
+ * Append a language column to modifiedDataSource.
+ * Column changes are structural and are not part of the undo history.
+ * @param {string} code - Normalized, validated language code
+ * @param {string|null} seedLanguage - LanguageTwoLetter to copy values from, or null for an empty column
+ */
+function addLanguage(code, seedLanguage) {
+    const seedIndex = seedLanguage ? findLanguageIndex(seedLanguage) : -1;
+    const translations = seedIndex !== -1
+        ? Object.assign({}, modifiedDataSource[seedIndex].Translations)
+        : {};
+
+    modifiedDataSource.push({ LanguageTwoLetter: code, Translations: translations });
+
+    handleDataChanged();
+}
+
+/**
+ * Remove a language column after confirmation. The last remaining
+ * language cannot be removed.
+ * @param {number} langIndex - Index into modifiedDataSource
+ */
+function removeLanguage(langIndex) {
+    if (state.currentEditContext) {
+        return;
+    }
+
+    if (modifiedDataSource.length <= 1) {
+        alert('The last language cannot be removed.');
+        return;
+    }
+
+    const lang = modifiedDataSource[langIndex];
+    const valueCount = Object.values(lang.Translations).filter(value => value !== '').length;
+    const code = lang.LanguageTwoLetter.toUpperCase();
+    if (!confirm(`Remove the ${code} column? ${valueCount} translation(s) will be removed when you save.`)) {
+        return;
+    }
+
+    modifiedDataSource.splice(langIndex, 1);
+    shiftColumnStateAfterRemoval(langIndex);
+    dropLanguageFromHistory(lang.LanguageTwoLetter);
+
+    handleDataChanged();
+}
+
+/**
+ * Keep index-based column state (collapse, sort) pointing at the same
+ * languages after a column was removed.
+ * @param {number} removedIndex - Index of the removed column
+ */
+function shiftColumnStateAfterRemoval(removedIndex) {
+    const shift = index => (index > removedIndex ? index - 1 : index);
+
+    state.collapsedColumns = new Set(
+        Array.from(state.collapsedColumns)
+            .filter(index => index !== removedIndex)
+            .map(shift)
+    );
+
+    state.sortState = state.sortState
+        .filter(sort => sort.column !== removedIndex)
+        .map(sort => (sort.column === 'key' ? sort : { ...sort, column: shift(sort.column) }));
+}
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * Parse the native format: [{ LanguageTwoLetter, Translations }].
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Object>} - Languages as { LanguageTwoLetter, Translations }
+ * @throws {Error} - If the data is not in the native format
+ */
+function parseNativeImport(data) {
+    if (!Array.isArray(data)) {
+        throw new Error('Expected an array of { "LanguageTwoLetter", "Translations" } objects.');
+    }
+
+    return data.map((lang, index) => {
+        if (!lang || typeof lang.LanguageTwoLetter !== 'string' || !lang.Translations || typeof lang.Translations !== 'object') {
+            throw new Error(`Entry ${index + 1} needs "LanguageTwoLetter" and a "Translations" object.`);
+        }
+        return { LanguageTwoLetter: lang.LanguageTwoLetter, Translations: lang.Translations };
+    });
+}
+
+/**
+ * Parse flat JSON ({ key: value }) for a single language.
+ * @param {*} data - Parsed JSON
+ * @param {string} language - Language code the file belongs to
+ * @returns {Array<Object>} - One language as { LanguageTwoLetter, Translations }
+ * @throws {Error} - If the data is not a flat object or the language is missing
+ */
+function parseFlatImport(data, language) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Expected an object of "key": "value" pairs.');
+    }
+    if (!language || !language.trim()) {
+        throw new Error('Enter the language of the flat JSON file.');
+    }
+    return [{ LanguageTwoLetter: language.trim(), Translations: data }];
+}
+
+/**
+ * Parse CSV with a header row: the first column holds keys, every other
+ * column is a language named by its header. Empty cells are skipped unless
+ * quoted (""), since spreadsheet apps save every empty cell unquoted.
+ * @param {string} text - CSV file content
+ * @returns {Array<Object>} - Languages as { LanguageTwoLetter, Translations }
+ * @throws {Error} - If there is no header row with at least one language
+ */
+function parseCSVImport(text) {
+    const rows = parseCSV(text);
+    if (rows.length === 0 || rows[0].length < 2) {
+        throw new Error('Expected a header row: key, then one column per language.');
+    }
+
+    const languages = rows[0].slice(1).map(header => ({ LanguageTwoLetter: (header || '').trim(), Translations: {} }));
+    rows.slice(1).forEach(cells => {
+        const key = (cells[0] || '').trim();
+        if (!key) {
+            return;
+        }
+        languages.forEach((lang, index) => {
+            const value = cells[index + 1];
+            if (value !== undefined && value !== null) {
+                lang.Translations[key] = value;
+            }
+        });
+    });
+
+    return languages;
+}
+
+/**
+ * Parse XLIFF 1.2 or 2.0. Each file pairs a source and a target language;
+ * only the target values are imported, the source values are kept to detect
+ * source text that changed since the export. Units without a complete
+ * <target> are skipped. Keys come from resname (1.2) or name (2.0), falling
+ * back to the unit id.
+ * @param {string} text - XLIFF document
+ * @returns {Array<Object>} - Languages as { LanguageTwoLetter, Translations, SourceLanguage, Sources }
+ * @throws {Error} - If the document is not well-formed XLIFF
+ */
+function parseXLIFFImport(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const root = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'xliff') {
+        throw new Error('The file is not a well-formed XLIFF document.');
+    }
+
+    const isVersion2 = (root.getAttribute('version') || '').startsWith('2');
+    const byLanguage = new Map();
+
+    Array.from(root.getElementsByTagNameNS('*', 'file')).forEach(file => {
+        const language = isVersion2 ? root.getAttribute('trgLang') : file.getAttribute('target-language');
+        const sourceLanguage = isVersion2 ? root.getAttribute('srcLang') : file.getAttribute('source-language');
+        if (!language) {
+            throw new Error('The XLIFF file has no target language.');
+        }
+        if (!byLanguage.has(language)) {
+            byLanguage.set(language, { LanguageTwoLetter: language, Translations: {}, SourceLanguage: sourceLanguage, Sources: {} });
+        }
+        const lang = byLanguage.get(language);
+
+        const units = file.getElementsByTagNameNS('*', isVersion2 ? 'unit' : 'trans-unit');
+        Array.from(units).forEach(unit => {
+            const key = unit.getAttribute(isVersion2 ? 'name' : 'resname') || unit.getAttribute('id');
+            if (!key) {
+                return;
+            }
+            const content = isVersion2 ? readXLIFF20Unit(unit) : readXLIFF12Unit(unit);
+            lang.Sources[key] = content.source;
+            if (content.target !== null) {
+                lang.Translations[key] = content.target;
+            }
+        });
+    });
+
+    return Array.from(byLanguage.values());
+}
+
+function readXLIFF12Unit(unit) {
+    const source = unit.getElementsByTagNameNS('*', 'source')[0];
+    const target = unit.getElementsByTagNameNS('*', 'target')[0];
+    return {
+        source: source ? readXLIFFContent(source) : '',
+        target: target ? readXLIFFContent(target) : null
+    };
+}
+
+/**
+ * Read a 2.0 unit, joining its segments (CAT tools may split one value into
+ * several) and ignorables in order.
+ * @param {Element} unit
+ * @returns {Object} - { source, target } where target is null if any segment is untranslated
+ */
+function readXLIFF20Unit(unit) {
+    const originalData = new Map();
+    Array.from(unit.getElementsByTagNameNS('*', 'data')).forEach(data => {
+        originalData.set(data.getAttribute('id'), data.textContent);
+    });
+
+    let source = '';
+    let target = '';
+    Array.from(unit.children).forEach(part => {
+        if (part.localName !== 'segment' && part.localName !== 'ignorable') {
+            return;
+        }
+        const partSource = part.getElementsByTagNameNS('*', 'source')[0];
+        const partTarget = part.getElementsByTagNameNS('*', 'target')[0];
+        const sourceText = partSource ? readXLIFFContent(partSource, originalData) : '';
+        source += sourceText;
+
+        if (partTarget) {
+            target = target === null ? null : target + readXLIFFContent(partTarget, originalData);
+        } else if (part.localName === 'ignorable') {
+            // Ignorables (whitespace between segments) need no translation
+            target = target === null ? null : target + sourceText;
+        } else {
+            target = null;
+        }
+    });
+
+    return { source, target };
+}
+
+/**
+ * Parse a gettext PO file. Keys come from msgctxt (or msgid when there is
+ * none), values from msgstr; untranslated (empty) and obsolete entries are
+ * skipped unless flagged "empty-value". The language comes from the
+ * "Language" header.
+ * @param {string} text - PO file content
+ * @param {string} language - Fallback language if the header has none
+ * @returns {Array<Object>} - One language as { LanguageTwoLetter, Translations }
+ * @throws {Error} - If the file has no entries or no language
+ */
+function parsePOImport(text, language) {
+    const entries = [];
+    let entry = null;
+    let field = null;
+
+    const finishEntry = () => {
+        if (entry && entry.msgid !== undefined) {
+            entries.push(entry);
+        }
+        entry = null;
+        field = null;
+    };
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#~')) {
+            finishEntry();
+            return;
+        }
+        if (line.startsWith('#,')) {
+            if (entry && entry.msgstr !== undefined) {
+                finishEntry();
+            }
+            entry = entry || {};
+            entry.isEmptyValue = /\bempty-value\b/.test(line);
+            return;
+        }
+        if (line.startsWith('#')) {
+            return;
+        }
+
+        const match = /^(msgctxt|msgid|msgid_plural|msgstr(?:\[0\])?|msgstr\[\d+\])\s+(".*")$/.exec(line);
+        if (match) {
+            const name = match[1] === 'msgstr[0]' ? 'msgstr' : match[1];
+            // A new msgctxt/msgid after a msgstr starts the next entry
+            if (entry && entry.msgstr !== undefined && (name === 'msgctxt' || name === 'msgid')) {
+                finishEntry();
+            }
+            entry = entry || {};
+            field = /^(msgctxt|msgid|msgstr)$/.test(name) ? name : null;
+            if (field) {
+                entry[field] = unquotePOString(match[2]);
+            }
+        } else if (line.startsWith('"') && entry && field) {
+            entry[field] += unquotePOString(line);
+        }
+    });
+    finishEntry();
+
+    let headerLanguage = null;
+    const translations = {};
+    entries.forEach(item => {
+        if (item.msgctxt === undefined && item.msgid === '') {
+            const header = /^Language:\s*(\S+)/m.exec(item.msgstr || '');
+            headerLanguage = header ? header[1].replace('_', '-') : null;
+            return;
+        }
+        if (item.msgstr || item.isEmptyValue) {
+            translations[item.msgctxt !== undefined ? item.msgctxt : item.msgid] = item.msgstr;
+        }
+    });
+
+    const code = headerLanguage || (language && language.trim());
+    if (!code) {
+        throw new Error('The PO file has no "Language" header. Enter its language.');
+    }
+    return [{ LanguageTwoLetter: code, Translations: translations }];
+}
+
+/**
+ * Decode one quoted PO string, e.g. "Line\n" -> Line + newline.
+ * @param {string} quoted - String including the surrounding quotes
+ * @returns {string}
+ */
+function unquotePOString(quoted) {
+    const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+    return quoted.slice(1, -1).replace(/\\(.)/g, (match, char) => (char in escapes ? escapes[char] : char));
+}
+
+/**
+ * Detect the format of an import file from its content.
+ * @param {string} text - File content
+ * @returns {string} - 'native-json', 'flat-json', 'xliff', 'po' or 'csv'
+ */
+function detectImportFormat(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (trimmed.startsWith('<')) {
+        return 'xliff';
+    }
+    if (trimmed.startsWith('[')) {
+        return 'native-json';
+    }
+    if (trimmed.startsWith('{')) {
+        return 'flat-json';
+    }
+    if (/^msg(ctxt|id)\s+"/m.test(trimmed)) {
+        return 'po';
+    }
+    return 'csv';
+}
+
+/**
+ * Parse an import file into the native shape.
+ * @param {string} text - File content
+ * @param {string} format - 'auto', 'native-json', 'flat-json', 'csv', 'xliff' or 'po'
+ * @param {string} language - Language for flat JSON files and PO files without a header
+ * @returns {Array<Object>} - Languages as { LanguageTwoLetter, Translations }, values as strings
+ * @throws {Error} - If the file cannot be parsed or contains invalid data
+ */
+function parseImportFile(text, format, language) {
+    const resolvedFormat = format === 'auto' ? detectImportFormat(text) : format;
+
+    let languages;
+    if (resolvedFormat === 'native-json') {
+        languages = parseNativeImport(JSON.parse(text));
+    } else if (resolvedFormat === 'flat-json') {
+        languages = parseFlatImport(JSON.parse(text), language);
+    } else if (resolvedFormat === 'xliff') {
+        languages = parseXLIFFImport(text);
+    } else if (resolvedFormat === 'po') {
+        languages = parsePOImport(text, language);
+    } else {
+        languages = parseCSVImport(text);
+    }
+
+    return languages.map(lang => {
+        const code = normalizeLanguageCode(lang.LanguageTwoLetter);
+        if (!code) {
+            throw new Error(`"${lang.LanguageTwoLetter}" is not a valid language code.`);
+        }
+
+        const translations = {};
+        Object.keys(lang.Translations).forEach(key => {
+            // Same rule as adding or renaming a key in the table
+            if (!KEY_NAME_PATTERN.test(key)) {
+                throw new Error(`"${key}" is not a valid key name. Key names may only contain letters, digits, "_", "." and "-".`);
+            }
+            const value = lang.Translations[key];
+            if (typeof value === 'object' && value !== null) {
+                throw new Error(`Value of "${key}" (${code}) is not text.`);
+            }
+            translations[key] = value === null ? '' : String(value);
+        });
+
+        const result = { LanguageTwoLetter: code, Translations: translations };
+        // Bilingual files (XLIFF) also carry the source values they were translated from
+        if (lang.Sources) {
+            result.SourceLanguage = normalizeLanguageCode(lang.SourceLanguage) || lang.SourceLanguage;
+            result.Sources = lang.Sources;
+        }
+        return result;
+    });
+}
+
+/**
+ * Compare imported languages with modifiedDataSource, cell by cell.
+ * - new: the key is missing in the table
+ * - changed: the table still has its original value, the import differs
+ * - conflict: the cell was edited here and the import differs from the edit
+ * Unchanged cells are left out. Values are sanitized before comparison.
+ * For bilingual files, units whose source text no longer matches the source
+ * column are reported as sourceChanges (and flagged on their cells).
+ * @param {Array<Object>} languages - Result of parseImportFile
+ * @param {boolean} addLanguages - Include languages that are not in the table
+ * @returns {Object} - { cells: [{ status, language, key, currentValue, importedValue, sanitized, isNewLanguage, sourceChanged }],
+ *                     skippedLanguages, sourceChanges: [{ language, sourceLanguage, key }] }
+ */
+function computeImportPreview(languages, addLanguages) {
+    const cells = [];
+    const skippedLanguages = [];
+    const sourceChanges = [];
+
+    languages.forEach(lang => {
+        const langIndex = modifiedDataSource.findIndex(l =>
+            l.LanguageTwoLetter.toLowerCase() === lang.LanguageTwoLetter.toLowerCase());
+
+        if (langIndex === -1 && !addLanguages) {
+            skippedLanguages.push(lang.LanguageTwoLetter);
+            return;
+        }
+
+        const language = langIndex === -1 ? lang.LanguageTwoLetter : modifiedDataSource[langIndex].LanguageTwoLetter;
+        const translations = langIndex === -1 ? {} : modifiedDataSource[langIndex].Translations;
+
+        const changedSourceKeys = new Set();
+        if (lang.Sources) {
+            const source = modifiedDataSource.find(l =>
+                l.LanguageTwoLetter.toLowerCase() === (lang.SourceLanguage || '').toLowerCase());
+            Object.keys(lang.Sources).sort().forEach(key => {
+                // Missing source values are exported as empty
+                const currentSource = source ? (source.Translations[key] || '') : null;
+                if (currentSource !== lang.Sources[key]) {
+                    changedSourceKeys.add(key);
+                    sourceChanges.push({ language, sourceLanguage: lang.SourceLanguage, key });
+                }
+            });
+        }
+
+        Object.keys(lang.Translations).sort().forEach(key => {
+            // Stored as written unless something had to be removed; re-serializing
+            // would turn every <br/> into <br> and report it as a change
+            const sanitized = sanitizeHTML(lang.Translations[key]);
+            const importedValue = sanitized.removed.length > 0 ? sanitized.html : lang.Translations[key];
+            const hasValue = Object.prototype.hasOwnProperty.call(translations, key);
+            const currentValue = hasValue ? translations[key] : null;
+
+            if (currentValue === importedValue) {
+                return;
+            }
+
+            let status = 'changed';
+            if (!hasValue) {
+                status = 'new';
+            } else if (langIndex !== -1 && isCellModified(langIndex, key)) {
+                status = 'conflict';
+            }
+
+            cells.push({
+                status,
+                language,
+                key,
+                currentValue,
+                importedValue,
+                sanitized: sanitized.removed.length > 0,
+                isNewLanguage: langIndex === -1,
+                sourceChanged: changedSourceKeys.has(key)
+            });
+        });
+
+        // Keep the language in the preview even if it has no values to import
+        if (langIndex === -1 && Object.keys(lang.Translations).length === 0) {
+            cells.push({ status: 'new', language, key: null, currentValue: null, importedValue: null, sanitized: false, isNewLanguage: true });
+        }
+    });
+
+    return { cells, skippedLanguages, sourceChanges };
+}
+
+function initializeImportDialog() {
+    document.getElementById('import-btn').addEventListener('click', openImportDialog);
+    document.getElementById('import-close-btn').addEventListener('click', () => closeDialog('import-modal'));
+    document.getElementById('import-cancel-btn').addEventListener('click', () => closeDialog('import-modal'));
+    document.getElementById('import-confirm-btn').addEventListener('click', handleImportConfirm);
+
+    // Any option change re-reads the file and rebuilds the preview
+    ['import-file', 'import-format', 'import-add-languages'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateImportPreview);
+    });
+    document.getElementById('import-language').addEventListener('input', updateImportPreview);
+}
+
+function openImportDialog() {
+    if (state.currentEditContext) {
+        return;
+    }
+
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-error').textContent = '';
+    document.getElementById('import-preview').innerHTML = '';
+    document.getElementById('import-confirm-btn').disabled = true;
+    state.importPreview = null;
+    state.importRequestId++;
+
+    openDialog('import-modal');
+}
+
+function updateImportPreview() {
+    const file = document.getElementById('import-file').files[0];
+    const format = document.getElementById('import-format').value;
+    const language = document.getElementById('import-language').value;
+    const addLanguages = document.getElementById('import-add-languages').checked;
+    const errorElement = document.getElementById('import-error');
+    const previewElement = document.getElementById('import-preview');
+
+    const requestId = ++state.importRequestId;
+    state.importPreview = null;
+    previewElement.innerHTML = '';
+    document.getElementById('import-confirm-btn').disabled = true;
+    if (!file) {
+        return;
+    }
+
+    readFileAsText(file)
+        .then(text => {
+            // Options changed while the file was read; the newer request wins
+            if (requestId !== state.importRequestId) {
+                return;
+            }
+            const preview = computeImportPreview(parseImportFile(text, format, language), addLanguages);
+            state.importPreview = preview;
+            errorElement.textContent = '';
+            renderImportPreview(preview);
+        })
+        .catch(error => {
+            if (requestId !== state.importRequestId) {
+                return;
+            }
+            errorElement.textContent = `Could not read ${file.name}: ${error.message}`;
+        });
+}
+
+function renderImportPreview(preview) {
+    const container = document.getElementById('import-preview');
+    container.innerHTML = '';
+
+    const counts = { new: 0, changed: 0, conflict: 0 };
+    preview.cells.forEach(cell => {
+        if (cell.key !== null) {
+            counts[cell.status]++;
+        }
+    });
+    const newLanguages = Array.from(new Set(preview.cells.filter(cell => cell.isNewLanguage).map(cell => cell.language)));
+
+    const summary = document.createElement('p');
+    summary.className = 'import-summary';
+    const parts = [`${counts.new} new`, `${counts.changed} changed`, `${counts.conflict} conflicting`];
+    if (newLanguages.length > 0) {
+        parts.push(`new language(s): ${newLanguages.join(', ')}`);
+    }
+    if (preview.skippedLanguages.length > 0) {
+        parts.push(`skipped language(s) not in the table: ${preview.skippedLanguages.join(', ')}`);
+    }
+    summary.textContent = parts.join(' · ') + '. Conflicts overwrite your unsaved edits and are not selected by default.';
+    container.appendChild(summary);
+
+    if (preview.sourceChanges.length > 0) {
+        container.appendChild(renderImportSourceChanges(preview.sourceChanges));
+    }
+
+    const cells = preview.cells.filter(cell => cell.key !== null);
+    if (cells.length === 0) {
+        const note = document.createElement('p');
+        note.className = 'completeness-note';
+        note.textContent = 'Nothing to import: every value matches the table.';
+        container.appendChild(note);
+        document.getElementById('import-confirm-btn').disabled = newLanguages.length === 0;
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'import-preview-table';
+    const headerRow = table.createTHead().insertRow();
+    ['', 'Status', 'Language', 'Key', 'Current', 'Imported'].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    preview.cells.forEach((cell, index) => {
+        if (cell.key === null) {
+            return;
+        }
+        const row = body.insertRow();
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.index = index;
+        checkbox.checked = cell.status !== 'conflict';
+        checkbox.addEventListener('change', updateImportConfirmButton);
+        row.insertCell().appendChild(checkbox);
+
+        const status = document.createElement('span');
+        status.className = `import-status import-status-${cell.status}`;
+        status.textContent = cell.status;
+        const statusCell = row.insertCell();
+        statusCell.appendChild(status);
+        if (cell.sourceChanged) {
+            const sourceNote = document.createElement('span');
+            sourceNote.className = 'import-status import-status-source-changed';
+            sourceNote.textContent = 'source changed';
+            sourceNote.title = 'The source text changed since this file was exported; the translation may be outdated.';
+            statusCell.appendChild(sourceNote);
+        }
+
+        row.insertCell().textContent = cell.language.toUpperCase();
+        row.insertCell().textContent = cell.key;
+
+        [cell.currentValue, cell.importedValue].forEach(value => {
+            const valueCell = row.insertCell();
+            valueCell.className = 'import-value';
+            const text = value === null ? '(not present)' : (getTextFromHTML(value).trim() || '(empty)');
+            valueCell.textContent = text;
+            valueCell.title = text;
+        });
+        if (cell.sanitized) {
+            row.cells[5].title += '\n(unsafe HTML was removed)';
+        }
+    });
+
+    container.appendChild(table);
+    updateImportConfirmButton();
+}
+
+/**
+ * List the units of a bilingual file whose source text changed since export.
+ * Clicking a key closes the dialog and reveals its row.
+ * @param {Array<Object>} sourceChanges - From computeImportPreview()
+ * @returns {HTMLElement}
+ */
+function renderImportSourceChanges(sourceChanges) {
+    const byPair = new Map();
+    sourceChanges.forEach(change => {
+        const pair = `${(change.sourceLanguage || '?').toUpperCase()} → ${change.language.toUpperCase()}`;
+        if (!byPair.has(pair)) {
+            byPair.set(pair, []);
+        }
+        byPair.get(pair).push(change.key);
+    });
+
+    const wrapper = document.createElement('div');
+    byPair.forEach((keys, pair) => {
+        const list = renderCompletenessKeyList(`Source text changed since export (${pair})`, keys);
+        list.querySelectorAll('.completeness-key-link').forEach(link => {
+            link.addEventListener('click', () => closeDialog('import-modal'));
+        });
+        wrapper.appendChild(list);
+    });
+    return wrapper;
+}
+
+function getSelectedImportCells() {
+    const checkboxes = document.querySelectorAll('#import-preview input[type="checkbox"]:checked');
+    return Array.from(checkboxes).map(checkbox => state.importPreview.cells[parseInt(checkbox.dataset.index, 10)]);
+}
+
+function updateImportConfirmButton() {
+    const hasNewLanguage = state.importPreview && state.importPreview.cells.some(cell => cell.isNewLanguage);
+    document.getElementById('import-confirm-btn').disabled = !hasNewLanguage && getSelectedImportCells().length === 0;
+}
+
+/**
+ * Merge the selected preview cells into modifiedDataSource as one undoable
+ * step. New languages are added as columns first (not part of the history).
+ */
+function handleImportConfirm() {
+    const preview = state.importPreview;
+    if (!preview) {
+        return;
+    }
+
+    const selectedCells = getSelectedImportCells();
+    const newLanguages = Array.from(new Set(preview.cells.filter(cell => cell.isNewLanguage).map(cell => cell.language)));
+    newLanguages.forEach(code => {
+        if (findLanguageIndex(code) === -1) {
+            modifiedDataSource.push({ LanguageTwoLetter: code, Translations: {} });
+        }
+    });
+
+    const changes = selectedCells.map(cell => ({
+        language: cell.language,
+        key: cell.key,
+        oldValue: cell.currentValue,
+        newValue: cell.importedValue
+    }));
+
+    closeDialog('import-modal');
+    state.importPreview = null;
+
+    if (changes.length > 0) {
+        commitTranslationChanges('Import', changes);
+    } else {
+        handleDataChanged();
+    }
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+const EXPORT_FILE_BASENAME = 'translations';
+
+function initializeExportDialog() {
+    document.getElementById('export-btn').addEventListener('click', openExportDialog);
+    document.getElementById('export-close-btn').addEventListener('click', () => closeDialog('export-modal'));
+    document.getElementById('export-cancel-btn').addEventListener('click', () => closeDialog('export-modal'));
+    document.getElementById('export-confirm-btn').addEventListener('click', handleExportConfirm);
+    document.getElementById('export-format').addEventListener('change', updateExportSourceField);
+}
+
+function openExportDialog() {
+    if (state.currentEditContext) {
+        return;
+    }
+
+    const languagesContainer = document.getElementById('export-languages');
+    const sourceSelect = document.getElementById('export-source-language');
+    languagesContainer.innerHTML = '';
+    sourceSelect.innerHTML = '';
+
+    modifiedDataSource.forEach(lang => {
+        const label = document.createElement('label');
+        label.className = 'toolbar-filter';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = lang.LanguageTwoLetter;
+        checkbox.checked = true;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${lang.LanguageTwoLetter.toUpperCase()}`));
+        languagesContainer.appendChild(label);
+
+        sourceSelect.appendChild(new Option(lang.LanguageTwoLetter.toUpperCase(), lang.LanguageTwoLetter));
+    });
+
+    // Offer "current results" only when something is actually filtered
+    const isFiltered = state.isSearchActive || state.showModifiedOnly || state.showMissingOnly;
+    const visibleScope = document.querySelector('input[name="export-scope"][value="visible"]');
+    visibleScope.disabled = !isFiltered;
+    document.querySelector(`input[name="export-scope"][value="${isFiltered ? 'visible' : 'all'}"]`).checked = true;
+
+    document.getElementById('export-error').textContent = '';
+    updateExportSourceField();
+    openDialog('export-modal');
+}
+
+function updateExportSourceField() {
+    const format = document.getElementById('export-format').value;
+    document.getElementById('export-source-field').style.display = isBilingualExportFormat(format) ? '' : 'none';
+}
+
+function isBilingualExportFormat(format) {
+    return format === 'xliff12' || format === 'xliff20' || format === 'po';
+}
+
+function handleExportConfirm() {
+    const format = document.getElementById('export-format').value;
+    const scope = document.querySelector('input[name="export-scope"]:checked').value;
+    const languages = Array.from(document.querySelectorAll('#export-languages input:checked')).map(input => input.value);
+    const sourceLanguage = document.getElementById('export-source-language').value;
+    const errorElement = document.getElementById('export-error');
+
+    let files;
+    try {
+        files = buildExportFiles(format, { scope, languages, sourceLanguage });
+    } catch (error) {
+        errorElement.textContent = error.message;
+        return;
+    }
+
+    closeDialog('export-modal');
+    files.forEach(file => downloadFile(file.filename, file.content, file.mimeType));
+}
+
+/**
+ * Build the files for an export.
+ * @param {string} format - 'native-json', 'csv', 'xliff12', 'xliff20' or 'po'
+ * @param {Object} options - { scope: 'all'|'visible', languages: [LanguageTwoLetter], sourceLanguage }
+ * @returns {Array<Object>} - Files as { filename, content, mimeType }
+ * @throws {Error} - If nothing can be exported with these options
+ */
+function buildExportFiles(format, options) {
+    const languages = modifiedDataSource.filter(lang => options.languages.includes(lang.LanguageTwoLetter));
+    if (languages.length === 0) {
+        throw new Error('Select at least one language.');
+    }
+
+    // Keys in the order they are rendered; values always come from the full data
+    const keys = getOrderedKeys(options.scope === 'visible' ? getVisibleData() : modifiedDataSource);
+    if (keys.length === 0) {
+        throw new Error('There are no rows to export.');
+    }
+
+    if (format === 'native-json') {
+        return [{
+            filename: `${EXPORT_FILE_BASENAME}.json`,
+            content: JSON.stringify(buildNativeExport(languages, keys), null, 4),
+            mimeType: 'application/json'
+        }];
+    }
+
+    if (format === 'csv') {
+        return [{
+            filename: `${EXPORT_FILE_BASENAME}.csv`,
+            content: buildCSVExport(languages, keys),
+            mimeType: 'text/csv'
+        }];
+    }
+
+    const source = modifiedDataSource[findLanguageIndex(options.sourceLanguage)];
+    const targets = languages.filter(lang => lang !== source);
+    if (!source || targets.length === 0) {
+        throw new Error('Select at least one language other than the source language.');
+    }
+
+    return targets.map(target => {
+        const name = `${EXPORT_FILE_BASENAME}-${source.LanguageTwoLetter}-${target.LanguageTwoLetter}`;
+        if (format === 'po') {
+            return { filename: `${name}.po`, content: buildPOExport(source, target, keys), mimeType: 'text/x-gettext-translation' };
+        }
+        const content = format === 'xliff20'
+            ? buildXLIFF20Export(source, target, keys)
+            : buildXLIFF12Export(source, target, keys);
+        return { filename: `${name}.xlf`, content, mimeType: 'application/xliff+xml' };
+    });
+}
+
+/**
+ * Native shape limited to the given keys; missing keys stay missing.
+ * @param {Array<Object>} languages - Languages from modifiedDataSource
+ * @param {Array<string>} keys - Keys to export
+ * @returns {Array<Object>}
+ */
+function buildNativeExport(languages, keys) {
+    return languages.map(lang => {
+        const translations = {};
+        keys.forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(lang.Translations, key)) {
+                translations[key] = lang.Translations[key];
+            }
+        });
+        return { LanguageTwoLetter: lang.LanguageTwoLetter, Translations: translations };
+    });
+}
+
+/**
+ * CSV with a key column and one column per language. Starts with a UTF-8 BOM
+ * so spreadsheet apps detect the encoding; values keep their HTML as-is.
+ * Empty values are written as "" and missing ones as nothing (see parseCSV).
+ * @param {Array<Object>} languages - Languages from modifiedDataSource
+ * @param {Array<string>} keys - Keys to export
+ * @returns {string}
+ */
+function buildCSVExport(languages, keys) {
+    const quote = value => {
+        if (value === undefined) {
+            return '';
+        }
+        return value === '' || /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    };
+
+    const lines = [['key'].concat(languages.map(lang => lang.LanguageTwoLetter)).map(quote).join(',')];
+    keys.forEach(key => {
+        const cells = [key].concat(languages.map(lang => lang.Translations[key]));
+        lines.push(cells.map(quote).join(','));
+    });
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// Character references, protected like tags so CAT tools show them as codes
+const HTML_ENTITY_PATTERN = /&(?:#\d+|#x[0-9a-fA-F]+|[a-zA-Z][a-zA-Z0-9]*);/g;
+
+/**
+ * Split a value into translatable text and inline codes: HTML tags,
+ * comments, character references and placeholders.
+ * @param {string} value - Translation value (HTML)
+ * @returns {Array<Object>} - Tokens as { type: 'text'|'code', value }, in order
+ */
+function tokenizeInlineCodes(value) {
+    const ranges = scanHTMLTags(value).tags.map(tag => ({ start: tag.start, end: tag.end }));
+    const addMatches = regex => {
+        let match;
+        while ((match = regex.exec(value)) !== null) {
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+    };
+    addMatches(/<!--[\s\S]*?-->/g);
+    addMatches(new RegExp(HTML_ENTITY_PATTERN.source, 'g'));
+    addMatches(new RegExp(state.placeholderValidation.syntaxes.join('|'), 'g'));
+
+    // Earliest first; a range inside an earlier one (e.g. a placeholder in an attribute) is dropped
+    ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const tokens = [];
+    let position = 0;
+    ranges.forEach(range => {
+        if (range.start < position) {
+            return;
+        }
+        if (range.start > position) {
+            tokens.push({ type: 'text', value: value.slice(position, range.start) });
+        }
+        tokens.push({ type: 'code', value: value.slice(range.start, range.end) });
+        position = range.end;
+    });
+    if (position < value.length) {
+        tokens.push({ type: 'text', value: value.slice(position) });
+    }
+
+    return tokens;
+}
+
+/**
+ * Create an id allocator for the inline codes of one unit, so a code in the
+ * target reuses the id of the same code in the source.
+ * @returns {Object} - { nextId, sourceIds: Map<code, ids>, targetAvailable, dataIds: Map<code, dataId> }
+ */
+function createInlineCodeIds() {
+    return { nextId: 1, sourceIds: new Map(), targetAvailable: null, dataIds: new Map() };
+}
+
+function allocateInlineCodeId(ids, code, isTarget) {
+    if (isTarget) {
+        if (!ids.targetAvailable) {
+            ids.targetAvailable = new Map(Array.from(ids.sourceIds, ([sourceCode, list]) => [sourceCode, list.slice()]));
+        }
+        const available = ids.targetAvailable.get(code);
+        if (available && available.length > 0) {
+            return available.shift();
+        }
+        return String(ids.nextId++);
+    }
+
+    const id = String(ids.nextId++);
+    if (!ids.sourceIds.has(code)) {
+        ids.sourceIds.set(code, []);
+    }
+    ids.sourceIds.get(code).push(id);
+    return id;
+}
+
+/**
+ * Escape text for XLIFF element content. Carriage returns are written as
+ * character references: XML parsers turn a literal CR LF into LF, so line
+ * endings would not survive a round trip otherwise.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXLIFFText(text) {
+    return escapeHTML(text).replace(/\r/g, '&#13;');
+}
+
+/**
+ * Convert a value to XLIFF <source>/<target> content with every inline code
+ * protected: <ph> holding the escaped code in 1.2, <ph dataRef> pointing into
+ * <originalData> in 2.0.
+ * @param {string} value - Translation value (HTML)
+ * @param {string} version - '1.2' or '2.0'
+ * @param {Object} ids - Allocator from createInlineCodeIds(), shared by source and target
+ * @param {boolean} isTarget - True for the <target> of the unit
+ * @returns {string} - XML content
+ */
+function toXLIFFContent(value, version, ids, isTarget) {
+    return tokenizeInlineCodes(value).map(token => {
+        if (token.type === 'text') {
+            return escapeXLIFFText(token.value);
+        }
+
+        const id = allocateInlineCodeId(ids, token.value, isTarget);
+        if (version === '1.2') {
+            return `<ph id="${id}">${escapeXLIFFText(token.value)}</ph>`;
+        }
+
+        if (!ids.dataIds.has(token.value)) {
+            ids.dataIds.set(token.value, `d${ids.dataIds.size + 1}`);
+        }
+        return `<ph id="${id}" dataRef="${ids.dataIds.get(token.value)}"/>`;
+    }).join('');
+}
+
+/**
+ * XLIFF 2.0 <originalData> for the codes collected while building a unit.
+ * @param {Object} ids - Allocator from createInlineCodeIds()
+ * @param {string} indent - Indentation of the element
+ * @returns {Array<string>} - Lines, empty if the unit has no codes
+ */
+function buildXLIFFOriginalData(ids, indent) {
+    if (ids.dataIds.size === 0) {
+        return [];
+    }
+    const data = Array.from(ids.dataIds, ([code, dataId]) =>
+        `${indent}    <data id="${dataId}">${escapeXLIFFText(code)}</data>`);
+    return [`${indent}<originalData>`, ...data, `${indent}</originalData>`];
+}
+
+/**
+ * Read a value back from an XLIFF <source>/<target> element, restoring
+ * protected inline codes. 1.2 codes (ph, bpt, ept, it, x) carry the original
+ * markup as their content; 2.0 codes reference <originalData> by dataRef.
+ * Wrapping elements (g, pc, mrk) contribute their children.
+ * @param {Element} element
+ * @param {Map<string, string>} [originalData] - 2.0 data id to code
+ * @returns {string} - Translation value (HTML)
+ */
+function readXLIFFContent(element, originalData) {
+    const data = originalData || new Map();
+    return Array.from(element.childNodes).map(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE ? node.nodeValue : '';
+        }
+
+        const name = node.localName;
+        if (node.hasAttribute('dataRef')) {
+            return data.get(node.getAttribute('dataRef')) || '';
+        }
+        if (name === 'pc') {
+            return (data.get(node.getAttribute('dataRefStart')) || '') +
+                readXLIFFContent(node, data) +
+                (data.get(node.getAttribute('dataRefEnd')) || '');
+        }
+        if (['ph', 'bpt', 'ept', 'it', 'x', 'bx', 'ex'].includes(name)) {
+            return node.textContent;
+        }
+        return readXLIFFContent(node, data);
+    }).join('');
+}
+
+function buildXLIFF12Export(source, target, keys) {
+    const units = keys.map(key => {
+        const ids = createInlineCodeIds();
+        const sourceValue = source.Translations[key] || '';
+        const lines = [
+            `            <trans-unit id="${escapeHTML(key)}" resname="${escapeHTML(key)}" xml:space="preserve">`,
+            `                <source>${toXLIFFContent(sourceValue, '1.2', ids, false)}</source>`
+        ];
+        if (Object.prototype.hasOwnProperty.call(target.Translations, key)) {
+            lines.push(`                <target>${toXLIFFContent(target.Translations[key], '1.2', ids, true)}</target>`);
+        }
+        lines.push('            </trans-unit>');
+        return lines.join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+        `    <file original="${EXPORT_FILE_BASENAME}" datatype="html" source-language="${source.LanguageTwoLetter}" target-language="${target.LanguageTwoLetter}">`,
+        '        <body>',
+        ...units,
+        '        </body>',
+        '    </file>',
+        '</xliff>',
+        ''
+    ].join('\n');
+}
+
+function buildXLIFF20Export(source, target, keys) {
+    const units = keys.map(key => {
+        const ids = createInlineCodeIds();
+        const sourceValue = source.Translations[key] || '';
+        const segment = [
+            '            <segment>',
+            `                <source xml:space="preserve">${toXLIFFContent(sourceValue, '2.0', ids, false)}</source>`
+        ];
+        if (Object.prototype.hasOwnProperty.call(target.Translations, key)) {
+            segment.push(`                <target xml:space="preserve">${toXLIFFContent(target.Translations[key], '2.0', ids, true)}</target>`);
+        }
+        segment.push('            </segment>');
+
+        // originalData comes before the segment but is only known after building it
+        return [
+            `        <unit id="${escapeHTML(key)}" name="${escapeHTML(key)}">`,
+            ...buildXLIFFOriginalData(ids, '            '),
+            ...segment,
+            '        </unit>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${source.LanguageTwoLetter}" trgLang="${target.LanguageTwoLetter}">`,
+        `    <file id="f1" original="${EXPORT_FILE_BASENAME}">`,
+        ...units,
+        '    </file>',
+        '</xliff>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * gettext PO for one target language: msgctxt is the key, msgid the source
+ * value (the key when the source is empty), msgstr the target value.
+ * Placeholders are listed in an extracted comment for translators. An empty
+ * msgstr means "untranslated", so empty values get the "empty-value" flag.
+ * @param {Object} source - Source language from modifiedDataSource
+ * @param {Object} target - Target language from modifiedDataSource
+ * @param {Array<string>} keys - Keys to export
+ * @returns {string}
+ */
+function buildPOExport(source, target, keys) {
+    const header = [
+        'msgid ""',
+        'msgstr ""',
+        quotePOString(`Language: ${target.LanguageTwoLetter}\n`),
+        quotePOString('MIME-Version: 1.0\n'),
+        quotePOString('Content-Type: text/plain; charset=UTF-8\n'),
+        quotePOString('Content-Transfer-Encoding: 8bit\n'),
+        quotePOString(`X-Source-Language: ${source.LanguageTwoLetter}\n`)
+    ].join('\n');
+
+    const entries = keys.map(key => {
+        const sourceValue = source.Translations[key] || key;
+        const lines = [];
+        const placeholders = extractPlaceholders(sourceValue);
+        if (placeholders.length > 0) {
+            lines.push(`#. Placeholders: ${Array.from(new Set(placeholders)).join(' ')}`);
+        }
+        if (target.Translations[key] === '') {
+            lines.push('#, empty-value');
+        }
+        lines.push(`msgctxt ${quotePOString(key)}`);
+        lines.push(`msgid ${formatPOString(sourceValue)}`);
+        lines.push(`msgstr ${formatPOString(target.Translations[key] || '')}`);
+        return lines.join('\n');
+    });
+
+    return [header].concat(entries).join('\n\n') + '\n';
+}
+
+function quotePOString(value) {
+    const escaped = value
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+/**
+ * Quote a PO value, splitting multi-line values after each newline.
+ * @param {string} value
+ * @returns {string}
+ */
+function formatPOString(value) {
+    const lines = value.split(/(?<=\n)/);
+    if (lines.length <= 1) {
+        return quotePOString(value);
+    }
+    return '""\n' + lines.map(quotePOString).join('\n');
+}
+
+// ========================================
+// BULK FIND & REPLACE
+// ========================================
+
+// Characters around the first change shown in the preview
+const REPLACE_SNIPPET_CONTEXT = 40;
+
+function initializeReplaceDialog() {
+    document.getElementById('replace-btn').addEventListener('click', openReplaceDialog);
+    document.getElementById('replace-close-btn').addEventListener('click', () => closeDialog('replace-modal'));
+    document.getElementById('replace-cancel-btn').addEventListener('click', () => closeDialog('replace-modal'));
+    document.getElementById('replace-preview-btn').addEventListener('click', updateReplacePreview);
+    document.getElementById('replace-apply-btn').addEventListener('click', handleReplaceApply);
+
+    ['replace-find', 'replace-with', 'replace-key-pattern'].forEach(id => {
+        document.getElementById(id).addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                updateReplacePreview();
+            }
+        });
+    });
+}
+
+function openReplaceDialog() {
+    if (state.currentEditContext) {
+        return;
+    }
+
+    const languagesContainer = document.getElementById('replace-languages');
+    languagesContainer.innerHTML = '';
+    modifiedDataSource.forEach(lang => {
+        const label = document.createElement('label');
+        label.className = 'toolbar-filter';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = lang.LanguageTwoLetter;
+        checkbox.checked = true;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${lang.LanguageTwoLetter.toUpperCase()}`));
+        languagesContainer.appendChild(label);
+    });
+
+    // Start from the current search text, if any
+    const findInput = document.getElementById('replace-find');
+    if (!findInput.value && state.compiledSearch && state.compiledSearch.terms.length === 1) {
+        findInput.value = state.searchQuery.trim().replace(/^"(.*)"$/, '$1');
+    }
+
+    clearReplacePreview();
+    openDialog('replace-modal');
+    findInput.focus();
+}
+
+function clearReplacePreview() {
+    state.replacePreview = null;
+    document.getElementById('replace-error').textContent = '';
+    document.getElementById('replace-preview').innerHTML = '';
+    document.getElementById('replace-apply-btn').disabled = true;
+}
+
+/**
+ * Expand the $-patterns of a replacement ($$, $&, $`, $', $1..$99, $<name>)
+ * for one match, the way String.prototype.replace does.
+ * @param {string} replacement - Replacement pattern
+ * @param {Array} args - Arguments of a replace callback: match, captures, index, input[, groups]
+ * @returns {string} - Expanded replacement
+ */
+function expandReplacement(replacement, args) {
+    const hasGroups = typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null;
+    const groups = hasGroups ? args[args.length - 1] : undefined;
+    const input = args[args.length - (hasGroups ? 2 : 1)];
+    const index = args[args.length - (hasGroups ? 3 : 2)];
+    const match = args[0];
+    const captures = args.slice(1, args.length - (hasGroups ? 3 : 2));
+
+    return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, symbol, name) => {
+        if (symbol === '$') return '$';
+        if (symbol === '&') return match;
+        if (symbol === '`') return input.slice(0, index);
+        if (symbol === "'") return input.slice(index + match.length);
+        if (name !== undefined) {
+            if (!groups) return token;
+            return groups[name] === undefined ? '' : groups[name];
+        }
+        // $nn refers to group nn if it exists, otherwise to group n followed by a digit
+        let number = parseInt(symbol, 10);
+        let rest = '';
+        if (symbol.length === 2 && (number < 1 || number > captures.length)) {
+            number = parseInt(symbol[0], 10);
+            rest = symbol[1];
+        }
+        if (number < 1 || number > captures.length) return token;
+        return (captures[number - 1] === undefined ? '' : captures[number - 1]) + rest;
+    });
+}
+
+/**
+ * Replace matches in one value without touching markup. HTML tags, comments
+ * and placeholders are always protected: a match overlapping one is skipped.
+ * In 'text' mode the value is searched as it reads, with character references
+ * decoded (so "&" finds "&amp;" and "é" finds "&eacute;"), and the replacement
+ * is inserted as text (escaped). In 'html' mode the raw HTML is searched and
+ * the replacement is inserted as-is.
+ * @param {string} value - Translation value (HTML)
+ * @param {RegExp} pattern - Global regex to find
+ * @param {string} replacement - Replacement ($1, $& etc. are expanded for regex searches)
+ * @param {Object} options - { mode: 'text'|'html', isRegex }
+ * @returns {Object} - { value, count, skipped, firstChange, inserted } where firstChange
+ *                     is { index, oldLength, newLength } of the first replacement, or null,
+ *                     and inserted lists the text each replacement put in
+ */
+function replaceInValue(value, pattern, replacement, options) {
+    const decodeReferences = options.mode === 'text';
+
+    // The searched text, built token by token with where each token sits in the value
+    const segments = [];
+    let searched = '';
+    let offset = 0;
+    tokenizeInlineCodes(value).forEach(token => {
+        // Character references are the only codes starting with "&"
+        const isReference = token.type === 'code' && token.value.startsWith('&');
+        const text = isReference && decodeReferences ? decodeHTMLEntities(token.value) : token.value;
+        segments.push({
+            start: offset,
+            searchStart: searched.length,
+            searchEnd: searched.length + text.length,
+            isProtected: token.type === 'code' && !isReference,
+            // A decoded reference can only be replaced whole
+            isAtomic: isReference && decodeReferences
+        });
+        offset += token.value.length;
+        searched += text;
+    });
+
+    // Position in the value of a position in the searched text, or -1 inside a decoded reference
+    const toValueIndex = searchIndex => {
+        const segment = segments.find(s => searchIndex >= s.searchStart && searchIndex < s.searchEnd);
+        if (!segment) return value.length;
+        if (segment.isAtomic && searchIndex > segment.searchStart) return -1;
+        return segment.start + (searchIndex - segment.searchStart);
+    };
+
+    const replacements = [];
+    let skipped = 0;
+
+    searched.replace(pattern, (...args) => {
+        const match = args[0];
+        const index = args.find((arg, i) => i > 0 && typeof arg === 'number');
+        const end = index + match.length;
+        if (match === '') {
+            return match;
+        }
+
+        const start = toValueIndex(index);
+        const valueEnd = toValueIndex(end);
+        if (start < 0 || valueEnd < 0 || segments.some(s => s.isProtected && index < s.searchEnd && end > s.searchStart)) {
+            skipped++;
+            return match;
+        }
+
+        const text = options.isRegex ? expandReplacement(replacement, args) : replacement;
+        replacements.push({ start, end: valueEnd, inserted: options.mode === 'text' ? escapeHTML(text) : text });
+        return match;
+    });
+
+    let result = '';
+    let position = 0;
+    replacements.forEach(r => {
+        result += value.slice(position, r.start) + r.inserted;
+        position = r.end;
+    });
+    result += value.slice(position);
+
+    const first = replacements[0];
+    return {
+        value: result,
+        count: replacements.length,
+        skipped,
+        firstChange: first ? { index: first.start, oldLength: first.end - first.start, newLength: first.inserted.length } : null,
+        inserted: replacements.map(r => r.inserted)
+    };
+}
+
+/**
+ * Compute the replacements for every cell in scope.
+ * @param {Object} query - { find, replacement, isRegex, matchCase, mode, keyPattern, languages }
+ * Cells where a Raw HTML replacement would add markup the sanitizer removes
+ * are left out and counted instead; markup already in a cell is not checked.
+ * @param {Object} query - { find, replacement, isRegex, matchCase, mode, keyPattern, languages }
+ * @returns {Object} - { cells: [{ language, key, oldValue, newValue, count }], skipped,
+ *                     unsafe: { cellCount, removed } }
+ * @throws {Error} - If the search text or a pattern is invalid
+ */
+function computeReplacePreview(query) {
+    if (!query.find) {
+        throw new Error('Enter the text to find.');
+    }
+
+    const flags = query.matchCase ? 'g' : 'gi';
+    const pattern = new RegExp(query.isRegex ? query.find : escapeRegExp(query.find), flags);
+    const keyRegex = query.keyPattern.trim() ? globToRegExp(query.keyPattern.trim()) : null;
+
+    const cells = [];
+    let skipped = 0;
+    const unsafe = { cellCount: 0, removed: new Set() };
+    modifiedDataSource.forEach(lang => {
+        if (!query.languages.includes(lang.LanguageTwoLetter)) {
+            return;
+        }
+
+        getOrderedKeys([lang]).forEach(key => {
+            if (keyRegex && !keyRegex.test(key)) {
+                return;
+            }
+            const oldValue = lang.Translations[key];
+            const result = replaceInValue(oldValue, pattern, query.replacement, query);
+            skipped += result.skipped;
+            if (result.count === 0 || result.value === oldValue) {
+                return;
+            }
+
+            if (query.mode === 'html') {
+                // What the inserted text brings in, alone and together with the text around it
+                const alreadyRemoved = new Set(sanitizeHTML(oldValue).removed);
+                const added = result.inserted.flatMap(text => sanitizeHTML(text).removed)
+                    .concat(sanitizeHTML(result.value).removed.filter(item => !alreadyRemoved.has(item)));
+                if (added.length > 0) {
+                    unsafe.cellCount++;
+                    added.forEach(item => unsafe.removed.add(item));
+                    return;
+                }
+            }
+
+            cells.push({
+                language: lang.LanguageTwoLetter,
+                key,
+                oldValue,
+                newValue: result.value,
+                count: result.count,
+                firstChange: result.firstChange
+            });
+        });
+    });
+
+    return { cells, skipped, unsafe: { cellCount: unsafe.cellCount, removed: Array.from(unsafe.removed) } };
+}
+
+function updateReplacePreview() {
+    clearReplacePreview();
+
+    const query = {
+        find: document.getElementById('replace-find').value,
+        replacement: document.getElementById('replace-with').value,
+        isRegex: document.getElementById('replace-regex').checked,
+        matchCase: document.getElementById('replace-match-case').checked,
+        mode: document.getElementById('replace-mode').value,
+        keyPattern: document.getElementById('replace-key-pattern').value,
+        languages: Array.from(document.querySelectorAll('#replace-languages input:checked')).map(input => input.value)
+    };
+
+    let preview;
+    try {
+        preview = computeReplacePreview(query);
+    } catch (error) {
+        document.getElementById('replace-error').textContent = error.message;
+        return;
+    }
+
+    state.replacePreview = { label: `Replace "${query.find}"`, cells: preview.cells };
+    renderReplacePreview(preview, query);
+}
+
+/**
+ * Show the first replacement of a cell: the text around it, with the
+ * replaced part marked, before and after.
+ * @param {Object} cell - Preview cell with oldValue, newValue, count and firstChange
+ * @returns {Array<DocumentFragment>} - [before, after]
+ */
+function renderChangeSnippets(cell) {
+    const { index, oldLength, newLength } = cell.firstChange;
+    const start = Math.max(0, index - REPLACE_SNIPPET_CONTEXT);
+    const more = cell.count > 1 ? ` (+${cell.count - 1} more)` : '';
+
+    return [[cell.oldValue, oldLength], [cell.newValue, newLength]].map(([value, length]) => {
+        const end = Math.min(value.length, index + length + REPLACE_SNIPPET_CONTEXT);
+        const fragment = document.createDocumentFragment();
+
+        fragment.appendChild(document.createTextNode((start > 0 ? '…' : '') + value.slice(start, index)));
+        const mark = document.createElement('mark');
+        mark.textContent = value.slice(index, index + length);
+        fragment.appendChild(mark);
+        fragment.appendChild(document.createTextNode(value.slice(index + length, end) + (end < value.length ? '…' : '') + more));
+        return fragment;
+    });
+}
+
+function renderReplacePreview(preview, query) {
+    const container = document.getElementById('replace-preview');
+    container.innerHTML = '';
+
+    const total = preview.cells.reduce((sum, cell) => sum + cell.count, 0);
+    const summary = document.createElement('p');
+    summary.className = 'import-summary';
+    summary.textContent = `${total} replacement(s) in ${preview.cells.length} cell(s).`;
+    if (preview.skipped > 0) {
+        summary.textContent += ` ${preview.skipped} match(es) inside HTML tags, placeholders or character references were left unchanged.`;
+    }
+    if (preview.unsafe.cellCount > 0) {
+        summary.textContent += ` ${preview.unsafe.cellCount} cell(s) were left out: the replacement would add unsafe markup (${preview.unsafe.removed.join(', ')}).`;
+    }
+    if (total === 0 && query.mode === 'html' && preview.unsafe.cellCount === 0) {
+        summary.textContent += ' Raw HTML is searched as written: characters stored as references (e.g. "&amp;" for "&") only match the reference. Match in "Text (as displayed)" to find them as they read.';
+    }
+    container.appendChild(summary);
+
+    if (preview.cells.length === 0) {
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'import-preview-table replace-preview-table';
+    const headerRow = table.createTHead().insertRow();
+    ['', 'Language', 'Key', 'Before', 'After'].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    preview.cells.forEach((cell, index) => {
+        const row = body.insertRow();
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.index = index;
+        checkbox.checked = true;
+        checkbox.addEventListener('change', updateReplaceApplyButton);
+        row.insertCell().appendChild(checkbox);
+
+        row.insertCell().textContent = cell.language.toUpperCase();
+        row.insertCell().textContent = cell.key;
+
+        const snippets = renderChangeSnippets(cell);
+        ['replace-before', 'replace-after'].forEach((className, i) => {
+            const valueCell = row.insertCell();
+            valueCell.className = `import-value ${className}`;
+            valueCell.appendChild(snippets[i]);
+            valueCell.title = i === 0 ? cell.oldValue : cell.newValue;
+        });
+    });
+
+    container.appendChild(table);
+    updateReplaceApplyButton();
+}
+
+function getSelectedReplaceCells() {
+    const checkboxes = document.querySelectorAll('#replace-preview input[type="checkbox"]:checked');
+    return Array.from(checkboxes).map(checkbox => state.replacePreview.cells[parseInt(checkbox.dataset.index, 10)]);
+}
+
+function updateReplaceApplyButton() {
+    document.getElementById('replace-apply-btn').disabled = getSelectedReplaceCells().length === 0;
+}
+
+/**
+ * Apply the selected replacements as one undoable step.
+ */
+function handleReplaceApply() {
+    const preview = state.replacePreview;
+    if (!preview) {
+        return;
+    }
+
+    const changes = getSelectedReplaceCells().map(cell => ({
+        language: cell.language,
+        key: cell.key,
+        oldValue: cell.oldValue,
+        newValue: cell.newValue
+    }));
+
+    closeDialog('replace-modal');
+    clearReplacePreview();
+    commitTranslationChanges(preview.label, changes);
+}
+
+// ========================================
+// DIALOGS
+// ========================================
+
+/**
+ * Show a dialog overlay. Clicking the overlay or pressing Escape closes it.
+ * @param {string} id - Id of the overlay element
+ */
+function openDialog(id) {
+    const dialog = document.getElementById(id);
+
+    if (!dialog.dataset.dialogInitialized) {
+        dialog.dataset.dialogInitialized = 'true';
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                closeDialog(id);
+            }
+        });
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                closeDialog(id);
+            }
+        });
+    }
+
+    dialog.style.display = 'flex';
+}
+
+function closeDialog(id) {
+    document.getElementById(id).style.display = 'none';
+}
+
+// ========================================
+// CELL REVERT & CONTEXT MENU
+// ========================================
+
+/**
+ * Revert a single cell to its originalDataSource value as one undoable step.
+ * Cells of keys or languages that did not exist originally are removed.
+ * @param {number} langIndex - Index into modifiedDataSource
+ * @param {string} key - Translation key
+ */
+function revertCell(langIndex, key) {
+    if (!isCellModified(langIndex, key)) {
+        return;
+    }
+
+    const translations = modifiedDataSource[langIndex].Translations;
+    const originalTranslations = getOriginalTranslations(langIndex);
+    const hasOriginal = originalTranslations && Object.prototype.hasOwnProperty.call(originalTranslations, key);
+
+    commitTranslationChanges(`Revert ${key}`, [{
+        language: modifiedDataSource[langIndex].LanguageTwoLetter,
+        key,
+        oldValue: Object.prototype.hasOwnProperty.call(translations, key) ? translations[key] : null,
+        newValue: hasOriginal ? originalTranslations[key] : null
+    }]);
+}
+
+function initializeCellContextMenu() {
+    const menu = document.getElementById('cell-context-menu');
+
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-action]');
+        if (!item || item.disabled) {
+            return;
+        }
+        const { key, langIndex } = menu.dataset;
+        closeCellContextMenu();
+        handleCellContextMenuAction(item.dataset.action, key, parseInt(langIndex, 10));
+    });
+
+    // Close on outside click, Escape, scroll or resize
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) {
+            closeCellContextMenu();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeCellContextMenu();
+        }
+    });
+    window.addEventListener('scroll', closeCellContextMenu, true);
+    window.addEventListener('resize', closeCellContextMenu);
+}
+
+function openCellContextMenu(e, key, langIndex) {
+    // Don't open while editing
+    if (state.currentEditContext) {
+        return;
+    }
+    e.preventDefault();
+
+    const menu = document.getElementById('cell-context-menu');
+    menu.dataset.key = key;
+    menu.dataset.langIndex = langIndex;
+
+    menu.querySelector('[data-action="revert"]').disabled = !isCellModified(langIndex, key);
+
+    menu.style.left = `${e.clientX}px`;
+    menu.style.top = `${e.clientY}px`;
+    menu.style.display = 'block';
+}
+
+function closeCellContextMenu() {
+    const menu = document.getElementById('cell-context-menu');
+    if (menu) {
+        menu.style.display = 'none';
+    }
+}
+
+function handleCellContextMenuAction(action, key, langIndex) {
+    if (action === 'revert') {
+        revertCell(langIndex, key);
+    }
+}
+
+// ========================================
+// EDIT HISTORY (UNDO / REDO)
+// ========================================
+
+function findLanguageIndex(languageTwoLetter) {
+    return modifiedDataSource.findIndex(lang => lang.LanguageTwoLetter === languageTwoLetter);
+}
+
+/**
+ * Set or remove a single translation in modifiedDataSource.
+ * @param {string} language - LanguageTwoLetter of the column
+ * @param {string} key - Translation key
+ * @param {string|null} value - New value, or null to remove the key
+ */
+function setTranslationValue(language, key, value) {
+    const langIndex = findLanguageIndex(language);
+    if (langIndex === -1) {
+        return;
+    }
+
+    const translations = modifiedDataSource[langIndex].Translations;
+    if (value === null) {
+        delete translations[key];
+    } else {
+        translations[key] = value;
+    }
+}
+
+/**
+ * Apply a group of cell changes as one undoable step.
+ * @param {string} label - Human-readable description, shown in the undo/redo tooltips
+ * @param {Array} changes - List of { language, key, oldValue, newValue }
+ */
+function commitTranslationChanges(label, changes) {
+    if (!changes || changes.length === 0) {
+        return;
+    }
+
+    changes.forEach(change => setTranslationValue(change.language, change.key, change.newValue));
+
+    const { history } = state;
+    history.undoStack.push({ label, changes });
+    if (history.undoStack.length > history.limit) {
+        history.undoStack.shift();
+    }
+    history.redoStack = [];
+
+    handleDataChanged(changes);
+}
+
+function undo() {
+    const entry = state.history.undoStack.pop();
+    if (!entry) {
+        return;
+    }
+
+    // Revert in reverse order so repeated changes to the same cell unwind correctly
+    entry.changes.slice().reverse().forEach(change => {
+        setTranslationValue(change.language, change.key, change.oldValue);
+    });
+    state.history.redoStack.push(entry);
+
+    handleHistoryStep(entry);
+}
+
+function redo() {
+    const entry = state.history.redoStack.pop();
+    if (!entry) {
+        return;
+    }
+
+    entry.changes.forEach(change => setTranslationValue(change.language, change.key, change.newValue));
+    state.history.undoStack.push(entry);
+
+    handleHistoryStep(entry);
+}
+
+function handleHistoryStep(entry) {
+    // Close modal if open - it may show a value that just changed
+    if (state.currentEditContext) {
+        closeEditModal();
+    }
+
+    refreshUnsavedChanges();
+    updateUI();
+    scheduleDraftSave();
+
+    // Reveal the first affected key that still exists (a rename touches two keys)
+    const existingKeys = new Set(getAllKeys(modifiedDataSource));
+    const affectedKey = entry.changes.map(change => change.key).find(key => existingKeys.has(key));
+    if (affectedKey !== undefined) {
+        revealKey(affectedKey);
+    } else {
+        renderTable();
+    }
+}
+
+function clearHistory() {
+    state.history.undoStack = [];
+    state.history.redoStack = [];
+}
+
+/**
+ * Forget the changes to a removed language column. Column changes are not
+ * undoable, so these could only be replayed into nothing, or into a new
+ * column added later with the same code. Entries left without changes go.
+ * @param {string} language - LanguageTwoLetter of the removed column
+ */
+function dropLanguageFromHistory(language) {
+    const dropFromStack = stack => stack
+        .map(entry => ({ ...entry, changes: entry.changes.filter(change => change.language !== language) }))
+        .filter(entry => entry.changes.length > 0);
+
+    state.history.undoStack = dropFromStack(state.history.undoStack);
+    state.history.redoStack = dropFromStack(state.history.redoStack);
+}
+
+/**
+ * Move to the page that contains a key and briefly highlight its row.
+ * Search and filters are kept; if the key is not visible under them,
+ * the current page is simply re-rendered.
+ * @param {string} key - Translation key to reveal
+ */
+function revealKey(key) {
+    const keys = getOrderedKeys(getVisibleData());
+    let page = null;
+    if (keys.includes(key)) {
+        expandGroupsOfKey(key);
+        page = getPageOfKey(key, getDisplayRows(keys));
+    }
+    if (page !== null) {
+        state.pagination.currentPage = page;
     }
 
     renderTable();
+    if (page !== null && state.virtualScroll.enabled) {
+        scrollToKey(key);
+    }
+
+    const row = findRowByKey(key);
+    if (row) {
+        row.classList.add('row-highlight');
+        if (row.scrollIntoView) {
+            row.scrollIntoView({ block: 'center' });
+        }
+        setTimeout(() => row.classList.remove('row-highlight'), 1500);
+    }
+}
+
+function findRowByKey(key) {
+    const rows = document.getElementById('table-body').rows;
+    return Array.from(rows).find(row => row.dataset.key === key) || null;
+}
+
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+        return;
+    }
+
+    // Leave native undo to text inputs and the Quill editor
+    const target = e.target;
+    if (state.currentEditContext || (target && (target.isContentEditable ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)))) {
+        return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
 }
 
 // ========================================
@@ -966,8 +6596,10 @@ function handleDiscardChanges() {
     // Reset modifiedDataSource to original
     modifiedDataSource = JSON.parse(JSON.stringify(originalDataSource));
 
-    // Reset state
+    // Reset state - history entries refer to the discarded edits
     state.hasUnsavedChanges = false;
+    clearHistory();
+    clearDraft();
 
     // Close modal if open
     if (state.currentEditContext) {
@@ -978,6 +6610,354 @@ function handleDiscardChanges() {
     renderTable();
 }
 
+// ========================================
+// SAVE CHANGES
+// ========================================
+
+function handleSaveChanges() {
+    // Ignore clicks while a save is already in flight
+    if (state.isSaving || !state.hasUnsavedChanges) {
+        return;
+    }
+
+    if (!confirm('Save all changes to the server?')) {
+        return;
+    }
+
+    // Close modal if open so a half-finished edit is not lost silently
+    if (state.currentEditContext) {
+        closeEditModal();
+    }
+
+    saveChanges();
+}
+
+/**
+ * Serialize the current edits into the hidden translations form and post it
+ * in the background. The request uses the form's own action, method and
+ * url-encoded `translationsJson` field, so the server contract is identical
+ * to a regular form submission.
+ * @returns {Promise<boolean>} - Resolves to true if the server accepted the save
+ */
+function saveChanges() {
+    const form = document.getElementById('translations-form');
+    const jsonField = document.getElementById('translations-json');
+
+    if (!form || !jsonField) {
+        console.error('Translations form or hidden JSON field is missing from the DOM.');
+        return Promise.resolve(false);
+    }
+
+    const savedJson = JSON.stringify(modifiedDataSource);
+    const payloadMode = getSavePayloadMode(form);
+
+    // Full snapshot unless the page asked for the diff only
+    jsonField.value = payloadMode === 'diff' ? '' : savedJson;
+
+    const diffField = document.getElementById('translations-diff-json');
+    if (diffField) {
+        diffField.value = payloadMode === 'full'
+            ? ''
+            : JSON.stringify(computeTranslationChanges(originalDataSource, modifiedDataSource));
+    } else if (payloadMode !== 'full') {
+        console.error('Diff payload requested but the translations-diff-json field is missing from the DOM.');
+    }
+
+    state.isSaving = true;
+    updateUI();
+
+    return fetch(form.action, {
+        method: form.method,
+        body: new URLSearchParams(new FormData(form)),
+        credentials: 'same-origin'
+    })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status} ${response.statusText}`);
+            }
+            handleSaveSuccess(savedJson);
+            return true;
+        })
+        .catch(error => {
+            console.error('Error saving translations:', error);
+            alert(`Saving failed: ${error.message}\nYour changes have been kept.`);
+            return false;
+        })
+        .finally(() => {
+            state.isSaving = false;
+            updateUI();
+        });
+}
+
+/**
+ * Read which payload the save request should carry from the form's
+ * `data-save-payload` attribute: 'full' (default), 'diff' or 'both'.
+ * @param {HTMLFormElement} form - The translations form
+ * @returns {string} - 'full' | 'diff' | 'both'
+ */
+function getSavePayloadMode(form) {
+    const mode = form.dataset.savePayload;
+    return mode === 'diff' || mode === 'both' ? mode : 'full';
+}
+
+/**
+ * Compute the list of per-key changes between two data sources.
+ * Languages are matched by LanguageTwoLetter, so added or removed language
+ * columns show up as added or removed keys for that language.
+ *
+ * A language column that exists on one side only is also reported by a
+ * language-level entry with op 'languageAdded' | 'languageRemoved' and key null,
+ * so an added column is visible even before it has any values.
+ *
+ * @param {Array} original - Baseline data source ([{ LanguageTwoLetter, Translations }])
+ * @param {Array} modified - Edited data source in the same shape
+ * @returns {Array} - Entries of { language, key, oldValue, newValue, op } where
+ *                    op is 'added' | 'changed' | 'removed' and the missing side is null
+ */
+function computeTranslationChanges(original, modified) {
+    const changes = [];
+
+    const originalByLanguage = new Map();
+    (original || []).forEach(lang => originalByLanguage.set(lang.LanguageTwoLetter, lang.Translations || {}));
+
+    const modifiedByLanguage = new Map();
+    (modified || []).forEach(lang => modifiedByLanguage.set(lang.LanguageTwoLetter, lang.Translations || {}));
+
+    const languages = new Set([...originalByLanguage.keys(), ...modifiedByLanguage.keys()]);
+
+    languages.forEach(language => {
+        if (!originalByLanguage.has(language)) {
+            changes.push({ language, key: null, oldValue: null, newValue: null, op: 'languageAdded' });
+        } else if (!modifiedByLanguage.has(language)) {
+            changes.push({ language, key: null, oldValue: null, newValue: null, op: 'languageRemoved' });
+        }
+
+        const oldTranslations = originalByLanguage.get(language) || {};
+        const newTranslations = modifiedByLanguage.get(language) || {};
+
+        Object.keys(newTranslations).forEach(key => {
+            const newValue = newTranslations[key];
+            if (!Object.prototype.hasOwnProperty.call(oldTranslations, key)) {
+                changes.push({ language, key, oldValue: null, newValue, op: 'added' });
+            } else if (oldTranslations[key] !== newValue) {
+                changes.push({ language, key, oldValue: oldTranslations[key], newValue, op: 'changed' });
+            }
+        });
+
+        Object.keys(oldTranslations).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(newTranslations, key)) {
+                changes.push({ language, key, oldValue: oldTranslations[key], newValue: null, op: 'removed' });
+            }
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Make the saved snapshot the new baseline for change detection and discard.
+ * Edits made while the request was in flight are not part of the snapshot,
+ * so they keep the unsaved flag set.
+ * @param {string} savedJson - The JSON that was posted to the server
+ */
+function handleSaveSuccess(savedJson) {
+    // The draft key follows the language set, which a save can change
+    const previousDraftKey = getDraftStorageKey();
+    originalDataSource = JSON.parse(savedJson);
+    if (getDraftStorageKey() !== previousDraftKey) {
+        clearDraft(previousDraftKey);
+    }
+
+    state.hasUnsavedChanges = JSON.stringify(modifiedDataSource) !== savedJson;
+    saveDraft();
+    renderTable();
+}
+
+// ========================================
+// DRAFT PERSISTENCE (localStorage)
+// ========================================
+
+const DRAFT_STORAGE_PREFIX = 'language-table-draft';
+const DRAFT_VERSION = 1;
+
+/**
+ * Build the localStorage key for the current page and dataset.
+ * The dataset is identified by its original language codes.
+ * @returns {string}
+ */
+function getDraftStorageKey() {
+    const languages = originalDataSource.map(lang => lang.LanguageTwoLetter).sort().join(',');
+    return `${DRAFT_STORAGE_PREFIX}:${window.location.pathname}:${languages}`;
+}
+
+function scheduleDraftSave() {
+    clearTimeout(state.draftSaveTimer);
+    state.draftSaveTimer = setTimeout(saveDraft, 500);
+}
+
+/**
+ * Write the pending diff to localStorage, or remove the draft when there
+ * is nothing left to save.
+ */
+function saveDraft() {
+    clearTimeout(state.draftSaveTimer);
+
+    const changes = computeTranslationChanges(originalDataSource, modifiedDataSource);
+    if (changes.length === 0) {
+        clearDraft();
+        return;
+    }
+
+    const draft = {
+        version: DRAFT_VERSION,
+        savedAt: new Date().toISOString(),
+        changes
+    };
+
+    try {
+        localStorage.setItem(getDraftStorageKey(), JSON.stringify(draft));
+    } catch (error) {
+        // Quota exceeded or storage disabled - edits are still in memory
+        console.warn('Could not save draft to localStorage:', error);
+    }
+}
+
+function loadDraft() {
+    try {
+        const stored = localStorage.getItem(getDraftStorageKey());
+        if (!stored) {
+            return null;
+        }
+        const draft = JSON.parse(stored);
+        if (!draft || draft.version !== DRAFT_VERSION || !Array.isArray(draft.changes)) {
+            return null;
+        }
+        return draft;
+    } catch (error) {
+        console.warn('Could not read draft from localStorage:', error);
+        return null;
+    }
+}
+
+/**
+ * Remove a stored draft.
+ * @param {string} [storageKey] - Key of the draft, the current dataset's by default
+ */
+function clearDraft(storageKey) {
+    clearTimeout(state.draftSaveTimer);
+    try {
+        localStorage.removeItem(storageKey || getDraftStorageKey());
+    } catch (error) {
+        console.warn('Could not remove draft from localStorage:', error);
+    }
+}
+
+/**
+ * Split draft changes by whether originalDataSource still has the value the
+ * draft was based on. A change conflicts when the server value changed since
+ * the draft was written; changes the server already contains are dropped.
+ * @param {Array} changes - Draft changes from computeTranslationChanges()
+ * @returns {Object} - { applicable, conflicts }
+ */
+function classifyDraftChanges(changes) {
+    const applicable = [];
+    const conflicts = [];
+
+    changes.forEach(change => {
+        // Language columns are added/removed by the restore itself
+        if (change.key === null) {
+            return;
+        }
+
+        const originalLang = originalDataSource.find(lang => lang.LanguageTwoLetter === change.language);
+        const translations = originalLang ? originalLang.Translations : {};
+        const serverValue = Object.prototype.hasOwnProperty.call(translations, change.key)
+            ? translations[change.key]
+            : null;
+
+        if (serverValue === change.newValue) {
+            return;
+        }
+        if (serverValue === change.oldValue) {
+            applicable.push(change);
+        } else {
+            conflicts.push(Object.assign({}, change, { serverValue }));
+        }
+    });
+
+    return { applicable, conflicts };
+}
+
+/**
+ * Ask whether to restore a draft found in localStorage. Conflicting cells
+ * get a second prompt: keep the draft values or the current server values.
+ */
+function offerDraftRestore() {
+    const draft = loadDraft();
+    if (!draft || draft.changes.length === 0) {
+        return;
+    }
+
+    const { applicable, conflicts } = classifyDraftChanges(draft.changes);
+    const languageChanges = draft.changes.filter(change => change.key === null);
+    const total = applicable.length + conflicts.length + languageChanges.length;
+    if (total === 0) {
+        clearDraft();
+        return;
+    }
+
+    const savedAt = new Date(draft.savedAt).toLocaleString();
+    if (!confirm(`Unsaved changes from ${savedAt} were found (${total} cell(s)). Restore them?`)) {
+        clearDraft();
+        return;
+    }
+
+    let changesToApply = applicable;
+    if (conflicts.length > 0) {
+        const conflictList = conflicts
+            .slice(0, 10)
+            .map(change => `  ${change.language.toUpperCase()} ${change.key}`)
+            .join('\n');
+        const more = conflicts.length > 10 ? `\n  ...and ${conflicts.length - 10} more` : '';
+        const useDraft = confirm(
+            `${conflicts.length} cell(s) were changed on the server since the draft was saved:\n` +
+            `${conflictList}${more}\n\n` +
+            'OK: overwrite them with your draft values.\nCancel: keep the server values for these cells.'
+        );
+        if (useDraft) {
+            changesToApply = applicable.concat(conflicts);
+        }
+    }
+
+    // Recreate added language columns first so their values have somewhere to go
+    languageChanges.forEach(change => {
+        const langIndex = findLanguageIndex(change.language);
+        if (change.op === 'languageAdded' && langIndex === -1) {
+            modifiedDataSource.push({ LanguageTwoLetter: change.language, Translations: {} });
+        } else if (change.op === 'languageRemoved' && langIndex !== -1) {
+            modifiedDataSource.splice(langIndex, 1);
+        }
+    });
+
+    changesToApply.forEach(change => setTranslationValue(change.language, change.key, change.newValue));
+
+    refreshUnsavedChanges();
+    updateUI();
+    saveDraft();
+}
+
+function handleBeforeUnload(e) {
+    if (!state.hasUnsavedChanges) {
+        return;
+    }
+
+    // Flush a pending debounced draft write before the page goes away
+    saveDraft();
+
+    e.preventDefault();
+    e.returnValue = '';
+}
+
 // ========================================
 // UI UPDATES
 // ========================================
@@ -990,6 +6970,26 @@ function updateUI() {
     // Show/hide discard changes button
     const discardBtn = document.getElementById('discard-changes-btn');
     discardBtn.style.display = state.hasUnsavedChanges ? 'block' : 'none';
+    discardBtn.disabled = state.isSaving;
+
+    // Undo / redo buttons, with the affected edit in the tooltip
+    const { undoStack, redoStack } = state.history;
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    undoBtn.disabled = undoStack.length === 0;
+    redoBtn.disabled = redoStack.length === 0;
+    undoBtn.title = undoStack.length > 0
+        ? `Undo: ${undoStack[undoStack.length - 1].label} (Ctrl+Z)`
+        : 'Undo (Ctrl+Z)';
+    redoBtn.title = redoStack.length > 0
+        ? `Redo: ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)`
+        : 'Redo (Ctrl+Shift+Z)';
+
+    // Show/hide save changes button, disabled while a save is in flight
+    const saveBtn = document.getElementById('save-changes-btn');
+    saveBtn.style.display = state.hasUnsavedChanges ? 'block' : 'none';
+    saveBtn.disabled = state.isSaving;
+    saveBtn.textContent = state.isSaving ? 'Saving...' : 'Save changes';
 }
 
 
@@ -1013,6 +7013,14 @@ function initializePaginationListeners() {
 }
 
 function renderPagination(totalRows) {
+    const virtual = state.virtualScroll.enabled;
+    document.getElementById('pagination-container').classList.toggle('virtual-scroll-active', virtual);
+    if (virtual) {
+        document.getElementById('pagination-info').textContent =
+            totalRows === 0 ? 'No entries to display' : `${totalRows} entries`;
+        return;
+    }
+
     const { rowsPerPage } = state.pagination;
     const totalPages = Math.ceil(totalRows / rowsPerPage);
 
@@ -1126,8 +7134,9 @@ function updatePaginationButtons(totalPages) {
 
 function goToPage(page) {
     const { rowsPerPage } = state.pagination;
-    const dataToRender = state.isSearchActive ? getSearchResults() : modifiedDataSource;
-    const totalRows = getAllKeys(dataToRender).length;
+    const dataToRender = getVisibleData();
+    // Group headers take up rows too in the grouped view
+    const totalRows = getDisplayRows(getOrderedKeys(dataToRender)).length;
     const totalPages = Math.ceil(totalRows / rowsPerPage);
 
     // Validate page number
@@ -1157,3 +7166,155 @@ function handleRowsPerPageChange(e) {
     renderTable();
 }
 
+
+// ========================================
+// VIRTUAL SCROLLING
+// ========================================
+
+// Viewport height used when the container has no layout yet
+const VIRTUAL_SCROLL_FALLBACK_HEIGHT = 600;
+
+function initializeVirtualScroll() {
+    document.getElementById('virtual-scroll-toggle').addEventListener('change', handleVirtualScrollToggle);
+
+    document.getElementById('table-container').addEventListener('scroll', () => {
+        if (state.virtualScroll.enabled) {
+            renderVirtualRows(false);
+        }
+    });
+}
+
+function handleVirtualScrollToggle(e) {
+    const virtual = state.virtualScroll;
+    const container = document.getElementById('table-container');
+
+    // Close modal if open
+    if (state.currentEditContext) {
+        closeEditModal();
+    }
+
+    if (e.target.checked) {
+        // Start at the first row of the current page
+        const firstRow = (state.pagination.currentPage - 1) * state.pagination.rowsPerPage;
+        virtual.enabled = true;
+        virtual.range = null;
+        container.classList.add('virtual-scroll');
+        renderTable();
+        container.scrollTop = getVisibleRowRange().offset + firstRow * virtual.rowHeight;
+        renderVirtualRows(false);
+    } else {
+        // Continue on the page of the first row in view
+        const firstRow = getVisibleRowRange().start;
+        virtual.enabled = false;
+        virtual.rows = [];
+        virtual.range = null;
+        container.classList.remove('virtual-scroll');
+        state.pagination.currentPage = Math.floor(firstRow / state.pagination.rowsPerPage) + 1;
+        renderTable();
+    }
+}
+
+/**
+ * Display rows in the viewport, estimated from the scroll position.
+ * @returns {Object} - { start, end } row indexes, plus the offset of the
+ *                     first row and the viewport height in px
+ */
+function getVisibleRowRange() {
+    const container = document.getElementById('table-container');
+    const tbody = document.getElementById('table-body');
+    const { rowHeight, rows } = state.virtualScroll;
+
+    // Rows start below the header and the "add key" row
+    const addKeyRow = tbody.querySelector('tr.add-key-row');
+    const offset = tbody.offsetTop + (addKeyRow ? addKeyRow.offsetHeight : 0);
+    const height = container.clientHeight || VIRTUAL_SCROLL_FALLBACK_HEIGHT;
+    const top = container.scrollTop - offset;
+
+    return {
+        start: Math.min(rows.length, Math.max(0, Math.floor(top / rowHeight))),
+        end: Math.min(rows.length, Math.max(0, Math.ceil((top + height) / rowHeight))),
+        offset,
+        height
+    };
+}
+
+/**
+ * Render the display rows around the viewport between two spacer rows
+ * that stand in for the rest. Skipped when the rendered rows already cover
+ * the viewport, and while a cell is edited in place.
+ * @param {boolean} force - Render even if the rendered rows cover the viewport
+ */
+function renderVirtualRows(force) {
+    const virtual = state.virtualScroll;
+    const tbody = document.getElementById('table-body');
+    const view = getVisibleRowRange();
+
+    if (!force) {
+        const { range } = virtual;
+        if (state.inlineEdit || (range && view.start >= range.start && view.end <= range.end)) {
+            return;
+        }
+    }
+
+    const start = Math.max(0, view.start - virtual.overscan);
+    const end = Math.min(virtual.rows.length, view.end + virtual.overscan);
+    virtual.range = { start, end };
+
+    // Everything after the "add key" row is replaced
+    tbody.querySelectorAll('tr:not(.add-key-row)').forEach(row => row.remove());
+
+    tbody.appendChild(renderVirtualSpacer(start * virtual.rowHeight));
+    virtual.rows.slice(start, end).forEach(displayRow => {
+        tbody.appendChild(displayRow.type === 'group'
+            ? renderGroupRow(displayRow.group, false)
+            : renderKeyRow(displayRow.key, displayRow.depth));
+    });
+    tbody.appendChild(renderVirtualSpacer((virtual.rows.length - end) * virtual.rowHeight));
+
+    // Refine the row height estimate from the rows just rendered
+    const renderedRows = tbody.querySelectorAll('tr[data-key], tr.group-row');
+    const renderedHeight = Array.from(renderedRows).reduce((sum, row) => sum + row.offsetHeight, 0);
+    if (renderedHeight > 0) {
+        virtual.rowHeight = renderedHeight / renderedRows.length;
+    }
+
+    // A render from scrolling replaces the focused cell and the current match
+    if (!force) {
+        syncActiveCell();
+        markCurrentSearchMatch(false);
+    }
+}
+
+function renderVirtualSpacer(height) {
+    const row = document.createElement('tr');
+    row.className = 'virtual-spacer';
+    row.setAttribute('aria-hidden', 'true');
+
+    const cell = document.createElement('td');
+    cell.colSpan = getTableColumnCount();
+    cell.style.height = `${height}px`;
+    row.appendChild(cell);
+
+    return row;
+}
+
+/**
+ * Scroll the container just enough to bring a key's row into view.
+ * @param {string} key - Translation key
+ */
+function scrollToKey(key) {
+    const index = state.virtualScroll.rows.findIndex(row => row.type === 'key' && row.key === key);
+    if (index === -1) {
+        return;
+    }
+
+    const container = document.getElementById('table-container');
+    const { rowHeight } = state.virtualScroll;
+    const view = getVisibleRowRange();
+    if (index < view.start) {
+        container.scrollTop = view.offset + index * rowHeight;
+    } else if (index >= view.end) {
+        container.scrollTop = view.offset + (index + 1) * rowHeight - view.height;
+    }
+    renderVirtualRows(false);
+}